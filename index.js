@@ -1,8 +1,16 @@
 'use strict';
 
-// Shim ReadableStream in node
+// Shim ReadableStream and WritableStream in node
 if (global && !global.ReadableStream) {
     global.ReadableStream = require('node-web-streams').ReadableStream;
 }
+if (global && !global.WritableStream) {
+    global.WritableStream = require('node-web-streams').WritableStream;
+}
 
 module.exports = require('./lib/index.js');
+
+// node.js stream adapters
+const nodeStreams = require('./lib/nodeStreams');
+module.exports.createNodeReadable = nodeStreams.createNodeReadable;
+module.exports.createNodeTransform = nodeStreams.createNodeTransform;
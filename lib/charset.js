@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Character encoding support for byte stream input.
+ *
+ * Byte chunks (`Uint8Array`, `Buffer` or `ArrayBuffer`, as yielded by
+ * `fetch()` response bodies) are decoded with the `TextDecoder` API.
+ */
+
+// The number of bytes the `<meta charset>` prescan looks at.
+// https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+const PRESCAN_LENGTH = 1024;
+
+const BYTE_ORDER_MARKS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+];
+
+// A charset declaration in a meta tag, either in a `charset` attribute or in
+// a `content` attribute like `text/html; charset=utf-8`.
+const META_CHARSET_RE = /<meta(?=\s)[^>]*?[\s;"']charset\s*=\s*["']?([^\s"'\/>;]+)/i;
+const COMMENT_RE = /<!--[\s\S]*?(?:-->|$)/g;
+// The charset parameter of a Content-Type header value.
+const CHARSET_PARAM_RE = /;\s*charset\s*=\s*"?([^";\s]*)"?/i;
+
+/**
+ * Resolve an encoding label to its canonical name.
+ *
+ * @param {string} label, like "UTF8" or "latin1".
+ * @return {string|null} The encoding name, like "utf-8" or
+ *   "windows-1252", or null if the label is not supported.
+ */
+function getEncoding(label) {
+    try {
+        return new TextDecoder(label).encoding;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the encoding from the charset parameter of a Content-Type header.
+ *
+ * @param {string} contentType, like "text/html; charset=utf-8".
+ * @return {string|null} The encoding name, or null if there is no supported
+ *   charset parameter.
+ */
+function getContentTypeEncoding(contentType) {
+    const match = CHARSET_PARAM_RE.exec(contentType || '');
+    return match && getEncoding(match[1]);
+}
+
+/**
+ * Detect the encoding of a document from its byte order mark, or a
+ * `<meta charset>` declaration.
+ *
+ * @param {Uint8Array} bytes, the start of the document.
+ * @return {string|null} The encoding name, or null if none was found.
+ */
+function sniffEncoding(bytes) {
+    for (const bom of BYTE_ORDER_MARKS) {
+        if (bom.bytes.every((b, i) => bytes[i] === b)) {
+            return bom.encoding;
+        }
+    }
+    // Declarations are ASCII, so decode a byte per character.
+    const head = String.fromCharCode.apply(null, bytes.subarray(0, PRESCAN_LENGTH))
+        .replace(COMMENT_RE, '');
+    const match = META_CHARSET_RE.exec(head);
+    const encoding = match && getEncoding(match[1]);
+    if (/^utf-16/.test(encoding)) {
+        // A document that could be read as ASCII is not UTF-16.
+        return 'utf-8';
+    } else if (encoding === 'x-user-defined') {
+        return 'windows-1252';
+    }
+    return encoding;
+}
+
+/**
+ * A Reader decoding byte chunks to strings. String chunks are passed through
+ * unchanged.
+ */
+class DecodeReader {
+    /**
+     * @param {Reader} reader, yielding strings or byte chunks.
+     * @param {object} options
+     *      - {string} encoding (optional): The encoding label; "utf-8" by
+     *      default.
+     *      - {boolean} sniffEncoding (optional): Detect the encoding from a
+     *      byte order mark or a `<meta charset>` declaration in the first
+     *      1024 bytes, falling back to `encoding`.
+     */
+    constructor(reader, options) {
+        this._reader = reader;
+        // Decoders are only created once byte chunks arrive, so that string
+        // input does not depend on TextDecoder support.
+        this._encoding = options.encoding ? getEncoding(options.encoding) : 'utf-8';
+        if (!this._encoding) {
+            throw new Error(`Unsupported encoding: ${options.encoding}`);
+        }
+        this._sniff = !!options.sniffEncoding;
+        this._decoder = null;
+        // Bytes held back until the encoding is known.
+        this._head = null;
+        this._done = false;
+    }
+
+    read() {
+        if (this._done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return this._reader.read()
+        .then(res => {
+            if (res.done) {
+                this._done = true;
+                // Decode any held back bytes, and flush incomplete
+                // characters at the end of the input.
+                let rest = '';
+                if (this._head) {
+                    rest = this._decodeHead(false);
+                } else if (this._decoder) {
+                    rest = this._decoder.decode();
+                }
+                return rest ? { value: rest, done: false } : res;
+            }
+            const chunk = res.value;
+            if (typeof chunk === 'string') {
+                return res;
+            }
+            const bytes = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk;
+            if (!this._decoder && this._sniff) {
+                this._head = this._head ? concatBytes(this._head, bytes) : bytes;
+                if (this._head.length < PRESCAN_LENGTH) {
+                    return this.read();
+                }
+                return { value: this._decodeHead(true), done: false };
+            }
+            if (!this._decoder) {
+                this._decoder = new TextDecoder(this._encoding);
+            }
+            return { value: this._decoder.decode(bytes, { stream: true }), done: false };
+        });
+    }
+
+    /**
+     * Determine the encoding from the held back bytes, and decode them.
+     *
+     * @param {boolean} stream, whether more input is expected.
+     * @return {string}
+     */
+    _decodeHead(stream) {
+        const head = this._head;
+        this._head = null;
+        this._decoder = new TextDecoder(sniffEncoding(head) || this._encoding);
+        return this._decoder.decode(head, { stream });
+    }
+
+    cancel(reason) {
+        return this._reader.cancel && this._reader.cancel(reason);
+    }
+}
+
+function concatBytes(a, b) {
+    const res = new Uint8Array(a.length + b.length);
+    res.set(a);
+    res.set(b, a.length);
+    return res;
+}
+
+module.exports = {
+    CHARSET_PARAM_RE: CHARSET_PARAM_RE,
+    getEncoding: getEncoding,
+    getContentTypeEncoding: getContentTypeEncoding,
+    sniffEncoding: sniffEncoding,
+    DecodeReader: DecodeReader,
+};
@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * Composition of documents from fragments, by replacing include elements
+ * like `<esi:include src="...">` with the fragments they refer to.
+ */
+
+const charset = require('./charset');
+const HTMLTransformReader = require('./index').HTMLTransformReader;
+const transformStream = require('./transformStream');
+const SerializeReader = transformStream.SerializeReader;
+
+const DEFAULT_SELECTOR = 'esi|include[src], mw-include[href]';
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_CONCURRENCY = 4;
+
+function defaultGetUrl(node) {
+    return node.attributes.src || node.attributes.href;
+}
+
+// Use the content of the include element, if any.
+function defaultFallback(node) {
+    return node.innerHTML;
+}
+
+// Whether resolve() returned a fetch() Response.
+function isResponse(res) {
+    return !!res && typeof res === 'object' && !!res.headers && 'body' in res;
+}
+
+/**
+ * Cancel the body of a fragment that is no longer needed.
+ *
+ * @param {mixed} res, as returned by `resolve()`.
+ */
+function discardFragment(res) {
+    const body = isResponse(res) ? res.body : res;
+    if (body && typeof body.cancel === 'function') {
+        Promise.resolve(body.cancel()).catch(() => {});
+    }
+}
+
+/**
+ * Reject a Promise that does not settle before a deadline.
+ *
+ * @param {Promise} promise
+ * @param {object|null} deadline, with the `time` as a `Date.now()` value
+ *   and the `error` to reject with; no deadline if null.
+ * @return {Promise}
+ */
+function withDeadline(promise, deadline) {
+    if (!deadline) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(deadline.error),
+            Math.max(deadline.time - Date.now(), 0));
+        promise.then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, e => {
+            clearTimeout(timer);
+            reject(e);
+        });
+    });
+}
+
+/**
+ * A Reader over a composed fragment, which ends the fragment with fallback
+ * content when reading it fails or takes past the deadline. The fragment is
+ * then cancelled.
+ */
+class FragmentReader {
+    /**
+     * @param {SerializeReader} reader
+     * @param {object|null} deadline, as for withDeadline.
+     * @param {function} onError, called with the error; returns fallback
+     *   content, like a handler.
+     */
+    constructor(reader, deadline, onError) {
+        this._reader = reader;
+        this._deadline = deadline;
+        this._onError = onError;
+        this._done = false;
+    }
+
+    read() {
+        if (this._done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return withDeadline(this._reader.read(), this._deadline)
+        .then(res => {
+            this._done = res.done;
+            return res;
+        }, e => {
+            this._done = true;
+            this._cancelReader(e);
+            return Promise.resolve(this._onError(e))
+            .then(value => ({ value: transformStream.replaceNodes(value), done: false }));
+        });
+    }
+
+    cancel(reason) {
+        this._done = true;
+        this._cancelReader(reason);
+    }
+
+    _cancelReader(reason) {
+        // Cancelling a fragment that already failed fails as well.
+        Promise.resolve(this._reader.cancel(reason)).catch(() => {});
+    }
+}
+
+/**
+ * Composes documents with their included fragments. Fragments are matched
+ * with the same rules as the including document, and are composed
+ * recursively.
+ */
+class Composer {
+    constructor(options) {
+        if (typeof options.resolve !== 'function') {
+            throw new Error("No resolve function supplied!");
+        }
+        this._options = options;
+        this._getUrl = options.getUrl || defaultGetUrl;
+        this._fallback = options.fallback || defaultFallback;
+        this._maxDepth = options.maxDepth === undefined ? DEFAULT_MAX_DEPTH : options.maxDepth;
+        // The include position is passed to the include handler as its ctx,
+        // so that the rules (and their compiled matchers) can be shared by
+        // all fragments. Other handlers get the `ctx` option as usual.
+        const ctx = options.ctx;
+        this._transforms = [{
+            selector: options.selector || DEFAULT_SELECTOR,
+            handler: (node, position) => this._include(node, position),
+        }].concat((options.transforms || []).map(rule => Object.assign({}, rule, {
+            handler: (node, position, selectorIndex) => rule.handler(node, ctx, selectorIndex),
+        })));
+    }
+
+    /**
+     * Compose a document or fragment.
+     *
+     * @param {mixed} input, as for HTMLTransformReader.
+     * @param {object} inputOptions, with the `encoding` and `sniffEncoding`
+     *   for byte input, and the `outputEncoding` of the document.
+     * @param {array<string>} ancestors, the URLs of the fragments including
+     *   this one, outermost first.
+     * @return {SerializeReader} A Reader yielding strings.
+     */
+    compose(input, inputOptions, ancestors) {
+        const options = this._options;
+        return new SerializeReader(new HTMLTransformReader(input, {
+            transforms: this._transforms,
+            ctx: { ancestors },
+            lenientAttributes: options.lenientAttributes,
+            caseInsensitiveTags: options.caseInsensitiveTags,
+            encoding: inputOptions.encoding,
+            sniffEncoding: inputOptions.sniffEncoding,
+            // Fetches later includes while earlier ones are pending.
+            concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+        }), { outputEncoding: inputOptions.outputEncoding });
+    }
+
+    /**
+     * Handle an include element.
+     *
+     * @param {object} node
+     * @param {object} position, with the `ancestors` of the fragment.
+     * @return {Promise<SerializeReader|mixed>} The composed fragment, or
+     *   fallback content.
+     */
+    _include(node, position) {
+        const url = this._getUrl(node);
+        const ancestors = position.ancestors;
+        const timeout = this._options.timeout;
+        // The timeout covers both resolve() and reading the fragment.
+        const deadline = timeout ? {
+            time: Date.now() + timeout,
+            error: new Error(`Include timed out after ${timeout}ms: ${url}`),
+        } : null;
+        return Promise.resolve()
+        .then(() => {
+            if (ancestors.indexOf(url) !== -1) {
+                throw new Error(`Include cycle: ${ancestors.concat(url).join(' -> ')}`);
+            }
+            if (ancestors.length >= this._maxDepth) {
+                throw new Error(`Include depth limit of ${this._maxDepth} exceeded: ${url}`);
+            }
+            const resolving = Promise.resolve(this._options.resolve(url, {
+                node,
+                parent: ancestors[ancestors.length - 1],
+                depth: ancestors.length + 1,
+            }));
+            return withDeadline(resolving, deadline)
+            .catch(e => {
+                if (deadline && e === deadline.error) {
+                    resolving.then(discardFragment, () => {});
+                }
+                throw e;
+            });
+        })
+        .then(res => {
+            let input = res;
+            let encoding = null;
+            if (isResponse(res)) {
+                if (res.ok === false) {
+                    discardFragment(res);
+                    throw new Error(`Include failed with status ${res.status}: ${url}`);
+                }
+                input = res.body || '';
+                encoding = charset.getContentTypeEncoding(res.headers.get('content-type'));
+            }
+            // Fragments yield strings, which are encoded with the document.
+            return new FragmentReader(this.compose(input, {
+                encoding: encoding || this._options.encoding,
+                sniffEncoding: !encoding && this._options.sniffEncoding,
+            }, ancestors.concat(url)), deadline, e => this._fallback(node, e));
+        })
+        .catch(e => this._fallback(node, e));
+    }
+}
+
+/**
+ * Compose a document from fragments, by replacing include elements with the
+ * fragments returned by a resolver:
+ *
+ *   composeHTML(response.body, {
+ *       resolve: url => fetch(new URL(url, baseUrl)),
+ *   })
+ *
+ * Fragments are spliced into the output as they stream in, and can include
+ * other fragments in turn. The includes of each document and fragment are
+ * resolved in parallel, up to the `concurrency` option. Failed includes are replaced with fallback content.
+ *
+ * @param {mixed} input, as for HTMLTransformReader.
+ * @param {object} options
+ *      - {function} resolve: Called with the URL of each include and an
+ *      object with the include `node`, the `parent` fragment URL (undefined
+ *      for the document itself) and the include `depth`. Returns a fetch()
+ *      Response, or any input HTMLTransformReader accepts, or a Promise for
+ *      either. Responses with an error status fail the include.
+ *      - {string|array|object} selector (optional): The include elements,
+ *      as a selector for HTMLTransformReader. Defaults to
+ *      `esi|include[src], mw-include[href]`.
+ *      - {function} getUrl (optional): Returns the URL of an include node.
+ *      Defaults to its `src` or `href` attribute.
+ *      - {number} maxDepth (optional): The maximum nesting depth of
+ *      includes; 5 by default.
+ *      - {number} timeout (optional): The time in milliseconds an include
+ *      can take, from calling `resolve()` to the end of the fragment,
+ *      including its own includes. The include fails after that.
+ *      - {function} fallback (optional): Called with the include node and
+ *      the error when an include fails, including cycles and exceeded
+ *      depth limits. Returns replacement content, like a handler. By
+ *      default, the content of the include element is used. When a
+ *      fragment fails while it is read, the fallback content follows the
+ *      part of the fragment already output, and the fragment body is
+ *      cancelled.
+ *      - {number} concurrency (optional): The number of includes of a
+ *      document or fragment resolved in parallel; 4 by default.
+ *      - {array} transforms (optional): Further rules, applied to the
+ *      document and all fragments.
+ *      - {object} ctx, {boolean} lenientAttributes,
+ *      {boolean} caseInsensitiveTags, {string} encoding,
+ *      {boolean} sniffEncoding and {string} outputEncoding (all optional):
+ *      As for HTMLTransformReader. The encoding of fragments is taken from
+ *      the `charset` of their Response content type if available.
+ * @return {ReadableStream} The composed document, as strings, or as UTF-8
+ *   encoded `Uint8Array`s with `outputEncoding: 'utf-8'`.
+ */
+function composeHTML(input, options) {
+    options = options || {};
+    const reader = new Composer(options).compose(input, options, []);
+    return new ReadableStream({
+        pull: controller => reader.read()
+        .then(res => {
+            if (res.done) {
+                controller.close();
+            } else {
+                controller.enqueue(res.value);
+            }
+        }),
+        cancel: reason => reader.cancel(reason),
+    });
+}
+
+module.exports = {
+    composeHTML: composeHTML,
+};
@@ -1,6 +1,38 @@
 'use strict';
 
-const SELECTOR_RE = /^\s*([^\[\s]+)\s*(?:\[\s*([^=\^*~\$\s]+)\s*(?:([\^\$~\*]?=)\s*"([^\]]*)"\s*)?\])?\s*$/;
+// An identifier, possibly containing CSS escapes.
+const IDENT_PATTERN = '(?:[a-zA-Z0-9_-]|\\\\[0-9a-fA-F]{1,6}\\s?|\\\\[^0-9a-fA-F\\n])+';
+// An optional namespace prefix: `svg|`, `*|` or `|`. Not to be confused
+// with the `|=` attribute operator.
+const NAMESPACE_PREFIX_PATTERN = `(?:(?:\\*|${IDENT_PATTERN})?\\|(?!=))`;
+// An attribute selector with an optionally prefixed name, an optional
+// double-quoted, single-quoted or unquoted value, and an optional `i` or `s`
+// case-sensitivity flag.
+const ATTRIBUTE_PATTERN = `\\[\\s*(${NAMESPACE_PREFIX_PATTERN}?[^=\\^*~\\$|\\s\\]]+)\\s*`
+    + '(?:([\\^\\$~\\*|]?=)\\s*'
+    + `(?:"((?:[^"\\\\]|\\\\.)*)"|'((?:[^'\\\\]|\\\\.)*)'|(${IDENT_PATTERN}))`
+    + '\\s*(?:([iIsS])\\s*)?)?\\]';
+// A type or universal selector, with an optional namespace prefix.
+const TYPE_RE = new RegExp(`(?:(\\*|${IDENT_PATTERN}|)\\|(?!=))?(?:(\\*)|(${IDENT_PATTERN}))|`, 'g');
+// A class, id or attribute selector, or the start of a pseudo-class. Always
+// matches; an empty match signals the end of the compound selector.
+const SIMPLE_SELECTOR_RE = new RegExp(`\\.(${IDENT_PATTERN})|#(${IDENT_PATTERN})|${ATTRIBUTE_PATTERN}|:([a-zA-Z-]+)(\\(\\s*)?|`, 'g');
+// The end of a pseudo-class argument list item.
+const ARGUMENT_END_RE = /\s*([,)])|/g;
+// An An+B argument, including the closing parenthesis.
+const NTH_ARGUMENT_RE = /(?:(odd)|(even)|([+-]?\d*)n(?:\s*([+-])\s*(\d+))?|([+-]?\d+))\s*\)|/gi;
+
+// Structural pseudo-classes without arguments, as An+B values.
+const STRUCTURAL_PSEUDO_CLASSES = {
+    'first-child': { ofType: false, a: 0, b: 1 },
+    'first-of-type': { ofType: true, a: 0, b: 1 },
+};
+const LEADING_SPACE_RE = /\s*/g;
+// The optional leading combinator of a relative selector.
+const RELATIVE_COMBINATOR_RE = /\s*(?:(>)\s*)?/g;
+// Descendant or child combinator. An empty match signals the end of the
+// selector.
+const COMBINATOR_RE = /\s*(>)\s*|\s+|/g;
 
 const valueDecodeTable = {
     'n': '\n',
@@ -8,34 +40,345 @@ const valueDecodeTable = {
     't': '\t',
     'f': '\f',
     '"': '"',
+    "'": "'",
     '\\': '\\'
 };
 
+function decodeIdent(ident) {
+    return ident.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|(.))/g, function(_, hex, c) {
+        return hex ? String.fromCodePoint(parseInt(hex, 16)) : c;
+    });
+}
+
+/**
+ * Convert a CSS qualified name (`svg|a`) to the prefixed form used in
+ * markup (`svg:a`). The `*` prefix is kept as `*:a`, and an empty prefix
+ * dropped.
+ *
+ * @param {string|undefined} prefix, the decoded namespace prefix, if any.
+ * @param {string} localName
+ * @return {string}
+ */
+function qualifiedName(prefix, localName) {
+    return prefix ? `${prefix}:${localName}` : localName;
+}
+
+function decodeValue(value) {
+    return value.replace(/\\([nrtf"'\\])/g, function(_, k) {
+        return valueDecodeTable[k];
+    });
+}
+
+/**
+ * Parse a compound selector, starting at state.index.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`. Updated to point past
+ *   the compound selector.
+ * @return {object|null} The compound selector, or null if there is none at
+ *   state.index.
+ */
+function parseCompoundSelector(selector, state) {
+    const res = {};
+    TYPE_RE.lastIndex = state.index;
+    const typeMatch = TYPE_RE.exec(selector);
+    const prefix = typeMatch[1] !== undefined ? decodeIdent(typeMatch[1]) : undefined;
+    if (typeMatch[3]) {
+        res.nodeName = qualifiedName(prefix, decodeIdent(typeMatch[3]));
+    } else if (typeMatch[2] && prefix && prefix !== '*') {
+        res.nodeName = `${prefix}:*`;
+    } else if (typeMatch[2] && prefix === '') {
+        throw new Error("Unsupported or invalid CSS selector: " + selector);
+    }
+    let lastIndex = TYPE_RE.lastIndex;
+    const attributes = [];
+    while (true) {
+        SIMPLE_SELECTOR_RE.lastIndex = lastIndex;
+        const match = SIMPLE_SELECTOR_RE.exec(selector);
+        if (!match[0]) {
+            break;
+        }
+        if (match[1]) {
+            attributes.push(['class', '~=', decodeIdent(match[1])]);
+        } else if (match[2]) {
+            attributes.push(['id', '=', decodeIdent(match[2])]);
+        } else if (match[9]) {
+            state.index = SIMPLE_SELECTOR_RE.lastIndex;
+            parsePseudoClass(selector, state, match[9].toLowerCase(), !!match[10], res);
+            SIMPLE_SELECTOR_RE.lastIndex = state.index;
+        } else {
+            const nameParts = /^(?:(.*)\|)?(.*)$/.exec(match[3]);
+            const attr = [qualifiedName(nameParts[1], nameParts[2])];
+            if (match[4]) {
+                attr.push(match[4]);
+                // Decode the attribute value
+                if (match[7] !== undefined) {
+                    attr.push(decodeIdent(match[7]));
+                } else {
+                    attr.push(decodeValue(match[5] !== undefined ? match[5] : match[6]));
+                }
+                if (match[8]) {
+                    attr.push(match[8].toLowerCase());
+                }
+            }
+            attributes.push(attr);
+        }
+        lastIndex = SIMPLE_SELECTOR_RE.lastIndex;
+    }
+    // Pseudo-classes are added to res.
+    if (!typeMatch[0] && !attributes.length && !Object.keys(res).length) {
+        return null;
+    }
+    if (attributes.length) {
+        res.attributes = attributes;
+    }
+    state.index = lastIndex;
+    return res;
+}
+
+/**
+ * Parse a comma-separated list of compound selectors, as used in the
+ * argument of :not(), up to and including the closing parenthesis.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`.
+ * @return {array} The compound selectors.
+ */
+function parseCompoundSelectorArguments(selector, state) {
+    const selectors = [];
+    while (true) {
+        const compound = parseCompoundSelector(selector, state);
+        ARGUMENT_END_RE.lastIndex = state.index;
+        const match = ARGUMENT_END_RE.exec(selector);
+        if (!compound || !match[0]) {
+            throw new Error("Unsupported or invalid CSS selector: " + selector);
+        }
+        selectors.push(compound);
+        state.index = ARGUMENT_END_RE.lastIndex;
+        if (match[1] === ')') {
+            return selectors;
+        }
+        LEADING_SPACE_RE.lastIndex = state.index;
+        LEADING_SPACE_RE.exec(selector);
+        state.index = LEADING_SPACE_RE.lastIndex;
+    }
+}
+
+/**
+ * Parse a comma-separated list of relative selectors, as used in the
+ * argument of :has(), up to and including the closing parenthesis.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`.
+ * @return {array} The selectors, each with a `scope` compound selector
+ *   as its outermost ancestor.
+ */
+function parseRelativeSelectorArguments(selector, state) {
+    const selectors = [];
+    while (true) {
+        RELATIVE_COMBINATOR_RE.lastIndex = state.index;
+        const combinatorMatch = RELATIVE_COMBINATOR_RE.exec(selector);
+        state.index = RELATIVE_COMBINATOR_RE.lastIndex;
+        const res = parseComplexSelector(selector, state);
+        ARGUMENT_END_RE.lastIndex = state.index;
+        const match = ARGUMENT_END_RE.exec(selector);
+        if (!res || !match[0]) {
+            throw new Error("Unsupported or invalid CSS selector: " + selector);
+        }
+        // Anchor the selector at the element the pseudo-class applies to.
+        res.ancestors = (res.ancestors || []).concat([{
+            scope: true,
+            combinator: combinatorMatch[1] || ' ',
+        }]);
+        selectors.push(res);
+        state.index = ARGUMENT_END_RE.lastIndex;
+        if (match[1] === ')') {
+            return selectors;
+        }
+    }
+}
+
+/**
+ * Parse an An+B argument, up to and including the closing parenthesis.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`.
+ * @return {object} With `a` and `b` members.
+ */
+function parseNthArgument(selector, state) {
+    NTH_ARGUMENT_RE.lastIndex = state.index;
+    const match = NTH_ARGUMENT_RE.exec(selector);
+    if (!match[0]) {
+        throw new Error("Unsupported or invalid CSS selector: " + selector);
+    }
+    state.index = NTH_ARGUMENT_RE.lastIndex;
+    if (match[1]) {
+        return { a: 2, b: 1 };
+    } else if (match[2]) {
+        return { a: 2, b: 0 };
+    } else if (match[6]) {
+        return { a: 0, b: parseInt(match[6], 10) };
+    }
+    let a = match[3];
+    if (a === '' || a === '+') {
+        a = 1;
+    } else if (a === '-') {
+        a = -1;
+    } else {
+        a = parseInt(a, 10);
+    }
+    let b = match[5] ? parseInt(match[5], 10) : 0;
+    if (match[4] === '-') {
+        b = -b;
+    }
+    return { a, b };
+}
+
+/**
+ * Parse a pseudo-class, adding it to a compound selector.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`, just past the
+ *   pseudo-class name and opening parenthesis.
+ * @param {string} name, the lower-cased pseudo-class name.
+ * @param {boolean} hasArguments, whether the name was followed by an opening
+ *   parenthesis.
+ * @param {object} compound, the compound selector to add the pseudo-class to.
+ */
+function parsePseudoClass(selector, state, name, hasArguments, compound) {
+    if (name === 'not' && hasArguments) {
+        compound.not = (compound.not || [])
+            .concat(parseCompoundSelectorArguments(selector, state));
+    } else if (name === 'has' && hasArguments) {
+        compound.has = (compound.has || [])
+            .concat(parseRelativeSelectorArguments(selector, state));
+    } else if (STRUCTURAL_PSEUDO_CLASSES[name] && !hasArguments) {
+        compound.nth = (compound.nth || [])
+            .concat([Object.assign({}, STRUCTURAL_PSEUDO_CLASSES[name])]);
+    } else if ((name === 'nth-child' || name === 'nth-of-type') && hasArguments) {
+        const nth = parseNthArgument(selector, state);
+        compound.nth = (compound.nth || []).concat([{
+            ofType: name === 'nth-of-type',
+            a: nth.a,
+            b: nth.b,
+        }]);
+    } else {
+        throw new Error(`Unsupported pseudo-class :${name} in CSS selector: ${selector}`);
+    }
+}
+
+/**
+ * Parse a complex selector (compound selectors separated by combinators),
+ * starting at state.index. Stops at the end of the selector, at a comma, or
+ * at the closing parenthesis of a pseudo-class argument.
+ *
+ * @param {string} selector
+ * @param {object} state, holding the current `index`.
+ * @return {object|null} The selector, or null if it is invalid.
+ */
+function parseComplexSelector(selector, state) {
+    LEADING_SPACE_RE.lastIndex = state.index;
+    LEADING_SPACE_RE.exec(selector);
+    state.index = LEADING_SPACE_RE.lastIndex;
+
+    let res = parseCompoundSelector(selector, state);
+    const ancestors = [];
+    while (res) {
+        COMBINATOR_RE.lastIndex = state.index;
+        const match = COMBINATOR_RE.exec(selector);
+        state.index = COMBINATOR_RE.lastIndex;
+        if (!match[0] || (!match[1] && (state.index === selector.length
+                || selector[state.index] === ','
+                || selector[state.index] === ')'))) {
+            // No combinator, or only trailing whitespace.
+            break;
+        }
+        const compound = parseCompoundSelector(selector, state);
+        if (!compound) {
+            return null;
+        }
+        res.combinator = match[1] || ' ';
+        ancestors.unshift(res);
+        res = compound;
+    }
+    if (res && ancestors.length) {
+        res.ancestors = ancestors;
+    }
+    return res;
+}
 
 /**
  * Simple CSS selector parser.
  *
- * Limitations:
- * - Only supports single attribute selector.
+ * Supports compound selectors, combined with descendant (` `) and child (`>`)
+ * combinators. Each compound selector consists of an optional tag name or
+ * universal selector (`*`), followed by any number of class (`.foo`), id
+ * (`#bar`) and attribute selectors. All of those need to match. Class and id
+ * selectors are returned as the equivalent `~=` and `=` attribute selectors.
+ * The `nodeName` is omitted for universal selectors.
+ *
+ * Namespace prefixes on tag and attribute names (`svg|a`, `[xlink|href]`)
+ * are returned as part of the name, in the prefixed form used in markup:
+ * `svg:a`, `xlink:href`. As there are no namespace declarations, the prefix
+ * is matched literally. The `*` prefix stands for any prefix or none, and is
+ * returned as `*:a`. Names without a prefix, or with the empty prefix (`|a`),
+ * only match unprefixed names.
+ *
+ * Attribute selectors are returned as `[name, operator, value, flag]`
+ * arrays, with the value and (`i` or `s`) flag only included if present.
+ *
+ * The `:not()` pseudo-class accepts a list of compound selectors, which are
+ * returned in a `not` array. None of them may match.
+ *
+ * The structural `:first-child`, `:first-of-type`, `:nth-child(An+B)` and
+ * `:nth-of-type(An+B)` pseudo-classes are returned in an `nth` array of
+ * `{ ofType, a, b }` objects. An element matches if its (1-based) position
+ * among its siblings (of the same type, if `ofType` is set) equals `a*n + b`
+ * for some n >= 0.
+ *
+ * The `:has()` pseudo-class accepts a list of relative selectors, which are
+ * returned in a `has` array. At least one of them needs to match an element
+ * inside the element. Each is returned as a complex selector, with an
+ * additional outermost ancestor `{ scope: true, combinator }` standing for the
+ * element itself. The combinator is `>` for selectors like `:has(> a)`.
+ *
+ * The result describes the rightmost compound selector. Other compound
+ * selectors are returned in an `ancestors` array, innermost first. Each of
+ * those has a `combinator` describing its relation to the compound selector
+ * to its right.
  */
 function parseCSSSelector(selector) {
-    const match = SELECTOR_RE.exec(selector);
-    if (!match) {
+    const state = { index: 0 };
+    const res = parseComplexSelector(selector, state);
+    if (!res || state.index !== selector.length) {
         throw new Error("Unsupported or invalid CSS selector: " + selector);
     }
-    const res = { nodeName: match[1].trim() };
-    if (match[2]) {
-        const attr = [match[2]];
-        if (match[3]) { attr.push(match[3]); }
-        // Decode the attribute value
-        if(match[4]) {
-            attr.push(match[4].replace(/\\([nrtf"\\])/g, function(_, k) {
-                return valueDecodeTable[k];
-            }));
+    return res;
+}
+
+/**
+ * Parse a comma-separated list of selectors, as supported by
+ * parseCSSSelector.
+ *
+ * @param {string} selector
+ * @return {array} The parsed selectors, in order.
+ */
+function parseCSSSelectorList(selector) {
+    const state = { index: 0 };
+    const selectors = [];
+    let res;
+    while ((res = parseComplexSelector(selector, state))) {
+        selectors.push(res);
+        if (selector[state.index] !== ',') {
+            break;
         }
-        res.attributes = [attr];
+        state.index++;
     }
-    return res;
+    if (!res || state.index !== selector.length) {
+        throw new Error("Unsupported or invalid CSS selector: " + selector);
+    }
+    return selectors;
 }
 
 module.exports = parseCSSSelector;
+module.exports.parseCSSSelectorList = parseCSSSelectorList;
@@ -0,0 +1,288 @@
+'use strict';
+
+/**
+ * The element nodes passed to handlers.
+ */
+
+const escapeAttributeValue = require('./htmlEntities').escapeAttributeValue;
+
+// Elements without content or end tag, which HTML5 serializes without the
+// self-closing slash (`<img src="x">`).
+// https://html.spec.whatwg.org/multipage/parsing.html#serialising-html-fragments
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr',
+    'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// The tag name in a start tag, as written.
+const TAG_NAME_RE = /^<([^\s\/>]+)/;
+// The end of a start tag, with an optional self-closing slash.
+const START_TAG_END_RE = /\s*\/?>$/;
+
+/**
+ * The `class` attribute of a node, as a set of class names, like
+ * `Element.classList`.
+ */
+class ClassList {
+    constructor(node) {
+        this._node = node;
+    }
+
+    _names() {
+        const value = this._node.getAttribute('class');
+        return value ? value.split(/\s+/).filter(name => name) : [];
+    }
+
+    contains(name) {
+        return this._names().indexOf(name) !== -1;
+    }
+
+    add() {
+        const names = this._names();
+        Array.from(arguments).forEach(name => {
+            if (names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        });
+        this._node.setAttribute('class', names.join(' '));
+    }
+
+    remove() {
+        const removed = Array.from(arguments);
+        this._node.setAttribute('class',
+            this._names().filter(name => removed.indexOf(name) === -1).join(' '));
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} force (optional): Add the class if true, remove it
+     *   if false.
+     * @return {boolean} Whether the class is now present.
+     */
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : !!force;
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+
+    get value() {
+        return this._names().join(' ');
+    }
+}
+
+/**
+ * A matched element. `outerHTML` and `innerHTML` hold the markup as matched,
+ * or ReadableStreams for `stream` rules. For `startTagOnly` rules,
+ * `outerHTML` is the start tag, and `innerHTML` is null. Changes made with
+ * the methods below are reflected in `outerHTML` and `innerHTML`, and in the
+ * output when the handler returns the node.
+ */
+class ElementNode {
+    /**
+     * @param {string} nodeName
+     * @param {object} attributes, with decoded values.
+     * @param {string} startTag, the start tag markup.
+     */
+    constructor(nodeName, attributes, startTag) {
+        this.nodeName = nodeName;
+        this.attributes = attributes;
+        this._outerHTML = startTag;
+        this._innerHTML = '';
+        this._startTagLength = startTag.length;
+        // Set once the start tag or content was modified: the start tag,
+        // or null if it needs to be serialized from the attributes, the end
+        // of the start tag (`>` or `/>`) and the end tag.
+        this._startTag = null;
+        this._startTagEnd = null;
+        this._endTag = null;
+        // Whether outerHTML was set.
+        this._replaced = false;
+        // Content placed around, or instead of the node.
+        this._before = [];
+        this._after = [];
+        this._replacement = null;
+    }
+
+    get outerHTML() {
+        if (this._endTag === null) {
+            return this._outerHTML;
+        }
+        return (this._startTag || this._serializeStartTag()) + (this._innerHTML || '')
+            + this._endTag;
+    }
+
+    /**
+     * Replace the markup of the node, including earlier changes. As its
+     * parts are no longer known, the node can then only be replaced or
+     * removed.
+     */
+    set outerHTML(value) {
+        this._outerHTML = value;
+        this._startTag = null;
+        this._startTagEnd = null;
+        this._endTag = null;
+        this._replaced = true;
+    }
+
+    get innerHTML() {
+        return this._innerHTML;
+    }
+
+    set innerHTML(value) {
+        this._innerHTML = value;
+    }
+
+    get classList() {
+        return new ClassList(this);
+    }
+
+    getAttribute(name) {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.hasOwnProperty(name);
+    }
+
+    setAttribute(name, value) {
+        this._modify();
+        this._startTag = null;
+        this.attributes[name] = String(value);
+    }
+
+    removeAttribute(name) {
+        if (this.hasAttribute(name)) {
+            this._modify();
+            this._startTag = null;
+            delete this.attributes[name];
+        }
+    }
+
+    /**
+     * Replace the content of the element.
+     *
+     * @param {string} html
+     */
+    setInnerHTML(html) {
+        if (this._innerHTML === null) {
+            throw new Error("The content of startTagOnly matches can't be replaced");
+        }
+        if (html && VOID_ELEMENTS.has(this.nodeName)) {
+            throw new Error(`Void elements can't have content: ${this.nodeName}`);
+        }
+        this._modify();
+        if (!this._endTag && html) {
+            // A self-closing element needs an end tag for its content.
+            this._startTagEnd = '>';
+            if (this._startTag) {
+                this._startTag = this._startTag.replace(START_TAG_END_RE, '>');
+            }
+            this._endTag = `</${TAG_NAME_RE.exec(this._outerHTML)[1]}>`;
+        }
+        this._innerHTML = html;
+    }
+
+    /**
+     * Insert content before the element. Like handler return values,
+     * content can be strings of HTML, nodes, arrays or streams.
+     */
+    before() {
+        this._before.push.apply(this._before, arguments);
+    }
+
+    /**
+     * Insert content after the element.
+     */
+    after() {
+        this._after.unshift.apply(this._after, arguments);
+    }
+
+    /**
+     * Replace the element with content.
+     */
+    replaceWith() {
+        this._replacement = Array.from(arguments);
+    }
+
+    /**
+     * Remove the element from the output.
+     */
+    remove() {
+        this._replacement = [];
+    }
+
+    toJSON() {
+        return {
+            nodeName: this.nodeName,
+            attributes: this.attributes,
+            outerHTML: this.outerHTML,
+            innerHTML: this.innerHTML,
+        };
+    }
+
+    /**
+     * The output for a handler returning this node: the node itself, or an
+     * array with content inserted around or instead of it.
+     *
+     * @return {ElementNode|array}
+     */
+    _toValue() {
+        if (!this._before.length && !this._after.length && !this._replacement) {
+            return this;
+        }
+        return this._before.concat(this._replacement || [this], this._after);
+    }
+
+    /**
+     * Append markup as it is matched.
+     *
+     * @param {string} outerChunk
+     * @param {string} innerChunk, the part of `outerChunk` that is content.
+     */
+    _append(outerChunk, innerChunk) {
+        this._outerHTML += outerChunk;
+        this._innerHTML += innerChunk;
+    }
+
+    /**
+     * Prepare for modifying the start tag or content, by splitting the
+     * markup into its parts.
+     */
+    _modify() {
+        if (this._endTag !== null) {
+            return;
+        }
+        if (typeof this._outerHTML !== 'string') {
+            throw new Error("Streamed nodes can only be replaced or removed");
+        } else if (this._replaced) {
+            throw new Error("Nodes with a replaced outerHTML can only be replaced or removed");
+        }
+        const contentEnd = this._startTagLength + (this._innerHTML || '').length;
+        this._startTag = this._outerHTML.slice(0, this._startTagLength);
+        this._startTagEnd = START_TAG_END_RE.exec(this._startTag)[0];
+        this._endTag = this._outerHTML.slice(contentEnd);
+    }
+
+    /**
+     * Serialize the start tag from the attributes, keeping the tag name as
+     * written.
+     *
+     * @return {string}
+     */
+    _serializeStartTag() {
+        const attributes = Object.keys(this.attributes).map(name =>
+            ` ${name}="${escapeAttributeValue(this.attributes[name])}"`);
+        this._startTag = `<${TAG_NAME_RE.exec(this._outerHTML)[1]}${attributes.join('')}${
+            this._startTagEnd}`;
+        return this._startTag;
+    }
+}
+
+module.exports = {
+    ElementNode: ElementNode,
+    VOID_ELEMENTS: VOID_ELEMENTS,
+};
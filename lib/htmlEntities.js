@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * HTML character reference decoding, matching and escaping.
+ *
+ * entities.json is the full HTML5 named character reference table, as
+ * published by the `entities` package. Browser bundles substitute
+ * entitiesLight.json (see the `browser` field in package.json), which only
+ * contains the references HTML5 serializers emit plus the Latin-1 set.
+ * Numeric references are always supported.
+ */
+
+const namedEntities = require('./entities.json');
+
+// Numeric references to C1 control characters are interpreted as
+// windows-1252.
+// https://html.spec.whatwg.org/multipage/parsing.html#numeric-character-reference-end-state
+const C1_REPLACEMENTS = {
+    0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026,
+    0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160,
+    0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019,
+    0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+    0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153,
+    0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+// A decimal, hexadecimal or named character reference. References without
+// the terminating semicolon are not supported.
+const ENTITY_RE = /&(?:#([0-9]+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));/g;
+
+function decodeCodePoint(codePoint) {
+    if (codePoint === 0 || codePoint > 0x10FFFF
+            || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+        return '\uFFFD';
+    }
+    return String.fromCodePoint(C1_REPLACEMENTS[codePoint] || codePoint);
+}
+
+/**
+ * Decode character references. Unknown named references are left as they
+ * are.
+ *
+ * @param {string} s
+ * @return {string}
+ */
+function decodeEntities(s) {
+    return s.replace(ENTITY_RE, function(match, decimal, hex, name) {
+        if (decimal) {
+            return decodeCodePoint(parseInt(decimal, 10));
+        } else if (hex) {
+            return decodeCodePoint(parseInt(hex, 16));
+        }
+        return Object.prototype.hasOwnProperty.call(namedEntities, name)
+            ? namedEntities[name] : match;
+    });
+}
+
+// Named references by the character they stand for. Built on first use.
+let namesByCharacter = null;
+
+function getEntityNames(c) {
+    if (!namesByCharacter) {
+        namesByCharacter = new Map();
+        Object.keys(namedEntities).forEach(name => {
+            const value = namedEntities[name];
+            const names = namesByCharacter.get(value);
+            if (names) {
+                names.push(name);
+            } else {
+                namesByCharacter.set(value, [name]);
+            }
+        });
+    }
+    return namesByCharacter.get(c) || [];
+}
+
+function escapeRegex(re) {
+    return re.replace(/[\^\\$*+?.()|{}\[\]\/]/g, '\\$&');
+}
+
+/**
+ * Build a regexp pattern matching a single character in any of its
+ * encodings: literally, as a decimal or hexadecimal numeric reference, or as
+ * a named reference.
+ *
+ * @param {string} c, a single character (code point).
+ * @param {boolean} allowLiteral, whether to match the literal character.
+ * @return {string}
+ */
+function characterPattern(c, allowLiteral) {
+    const codePoint = c.codePointAt(0);
+    const hex = codePoint.toString(16)
+        .replace(/[a-f]/g, digit => `[${digit}${digit.toUpperCase()}]`);
+    const alternatives = [`&#0*${codePoint};`, `&#[xX]0*${hex};`]
+        .concat(getEntityNames(c).map(name => `&${name};`));
+    if (allowLiteral) {
+        alternatives.unshift(escapeRegex(c));
+    }
+    return `(?:${alternatives.join('|')})`;
+}
+
+// Characters escaped in double-quoted attribute values. `"` and `&` need to
+// be escaped; `<` and `>` are escaped as well for XML serializations. The
+// no-break space is escaped like the HTML5 serializer does.
+const ATTRIBUTE_ESCAPES = {
+    '&': '&amp;',
+    '"': '&quot;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '\u00a0': '&nbsp;',
+};
+
+/**
+ * Escape an attribute value for use in double quotes.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function escapeAttributeValue(value) {
+    return value.replace(/[&"<>\u00a0]/g, c => ATTRIBUTE_ESCAPES[c]);
+}
+
+module.exports = {
+    decodeEntities: decodeEntities,
+    characterPattern: characterPattern,
+    escapeAttributeValue: escapeAttributeValue,
+};
@@ -2,61 +2,265 @@
 
 const streamUtil = require('web-stream-util');
 const parseCSSSelector = require('./cssSelectorParser');
+const parseCSSSelectorList = parseCSSSelector.parseCSSSelectorList;
+const htmlEntities = require('./htmlEntities');
+const charset = require('./charset');
+const elementNode = require('./elementNode');
+const ElementNode = elementNode.ElementNode;
+const VOID_ELEMENTS = elementNode.VOID_ELEMENTS;
 
 // Shared patterns
-const optionalAttributePattern = '(?:\\s+[a-zA-Z_-]+(?:=(?:"[^"]*"|\'[^\']*\'))?)*';
-const remainingTagAssertionPattern = `(?=${optionalAttributePattern}\\s*\\/?>)`;
-const remainingTagCloseCapturePattern = `${optionalAttributePattern}\\s*(\\/?)>`;
-const remainingTagPattern = `${optionalAttributePattern}\\s*\\/?>`;
-const ANY_TAG = new RegExp(`<(\/?)([a-zA-Z][a-zA-Z0-9_-]*)${remainingTagCloseCapturePattern}`, 'g');
+// A tag name, optionally with a namespace prefix (`svg:a`, `m:math`).
+const tagNamePattern = '[a-zA-Z][a-zA-Z0-9_:-]*';
+// The parts of a prefixed name.
+const localNamePattern = '[a-zA-Z][a-zA-Z0-9_-]*';
+const namePrefixPattern = '[a-zA-Z_][a-zA-Z0-9_-]*';
+// Asserts the end of a tag name.
+const tagNameEndPattern = '(?=[\\s/>])';
+const commentMatchPattern = '!--[\\s\\S]*?-->';
+
+// Elements whose content is text, which is serialized without escaping `<`.
+// The content of RCDATA elements can contain character references.
+// https://html.spec.whatwg.org/multipage/syntax.html#elements-2
+const RAW_TEXT_ELEMENTS = new Set([
+    'script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'textarea', 'title',
+]);
+const RCDATA_ELEMENTS = new Set(['textarea', 'title']);
+
+// The default maximum content length of :has() candidates, in characters.
+const DEFAULT_HAS_BUFFER_LIMIT = 1024 * 1024;
 
 // https://www.w3.org/TR/html-markup/syntax.html#syntax-attributes:
 // Attribute names must consist of one or more characters other than the space
 // characters, U+0000 NULL, """, "'", ">", "/", "=", the control characters,
 // and any characters that are not defined by Unicode.
 const ATTRIB_NAME_PATTERN = '[^\\s\\0"\'>/=\x00-\x1F\x7F-\x9F]+';
-const ATTRIB_PATTERN = `\\s+(${ATTRIB_NAME_PATTERN})=(?:"([^"]*)"|'([^']*)')|`;
-const ATTRIB = new RegExp(ATTRIB_PATTERN, 'g');
-const TAG_END = new RegExp('\\s*(\/?)>|', 'g');
+// A character of an unquoted attribute value.
+const UNQUOTED_VALUE_CHAR_PATTERN = '[^\\s"\'=<>`]';
 
-function escapeRegex(re) {
-    return re.replace(/[\^\\$*+?.()|{}\[\]\/]/g, '\\$&');
+/**
+ * Build a pattern matching a literal name, optionally ignoring ASCII case.
+ *
+ * @param {string} name
+ * @param {boolean} caseInsensitive
+ * @return {string}
+ */
+function literalNamePattern(name, caseInsensitive) {
+    return caseInsensitive
+        ? name.replace(/[a-zA-Z]/g, c => `[${c.toLowerCase()}${c.toUpperCase()}]`)
+        : name;
 }
 
-const attrValReplacements = {
-    'double': {
-        '<': '(?:<|&lt;)',
-        '>': '(?:>|&gt;)',
-        '&': '(?&|&amp;)',
-        '"': '&quot;',
-        "'": '(?:\'|&apos;|&#39;)',
+/**
+ * Build a pattern matching a tag or attribute name from a parsed selector.
+ * Names can carry a namespace prefix (`svg:a`), which is matched literally,
+ * or the `*:` prefix, matching any prefix or none.
+ *
+ * @param {string} name
+ * @param {string} anyNamePattern, matching any local name, used for `*`.
+ * @param {boolean} caseInsensitive, whether to ignore ASCII case.
+ * @return {string}
+ */
+function namePattern(name, anyNamePattern, caseInsensitive) {
+    const match = /^(?:([^:]*):)?(.*)$/.exec(name);
+    let prefix = '';
+    if (match[1] === '*') {
+        prefix = `(?:${namePrefixPattern}:)?`;
+    } else if (match[1] !== undefined) {
+        prefix = literalNamePattern(match[1], caseInsensitive) + ':';
     }
+    return prefix + (match[2] === '*'
+        ? anyNamePattern : literalNamePattern(match[2], caseInsensitive));
+}
+
+// Attribute grammars, as a pattern matching a single attribute, and one
+// capturing its name, and double-quoted, single-quoted or unquoted value.
+const ATTRIBUTE_GRAMMARS = {
+    // HTML5 and XMLSerializer serialization: Quoted values, or none at all.
+    strict: {
+        attribute: '[a-zA-Z_:-][a-zA-Z0-9_.:-]*(?:=(?:"[^"]*"|\'[^\']*\'))?',
+        attributeCapture: `(${ATTRIB_NAME_PATTERN})(?:=(?:"([^"]*)"|'([^']*)'))?`,
+    },
+    // Any attribute name, unquoted values & whitespace around `=`.
+    lenient: {
+        attribute: `${ATTRIB_NAME_PATTERN}(?:\\s*=\\s*(?:"[^"]*"|'[^']*'|${
+            UNQUOTED_VALUE_CHAR_PATTERN}+))?`,
+        attributeCapture: `(${ATTRIB_NAME_PATTERN})(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|(${
+            UNQUOTED_VALUE_CHAR_PATTERN}+)))?`,
+    },
 };
-attrValReplacements.single = Object.assign({},
-    attrValReplacements.double, {
-        '"': '(?:"|&quot;)',
-        "'": '(?:\'|&apos;|&#39;)',
+
+/**
+ * Build the tag patterns for an attribute grammar.
+ *
+ * @param {object} grammar, one of ATTRIBUTE_GRAMMARS.
+ * @param {boolean} caseInsensitive, whether to ignore the case of tag names.
+ * @return {object}
+ */
+function makeTagPatterns(grammar, caseInsensitive) {
+    const optionalAttributePattern = `(?:\\s+${grammar.attribute})*`;
+    const rawTextNames = Array.from(RAW_TEXT_ELEMENTS)
+        .map(name => literalNamePattern(name, caseInsensitive));
+    // End tag matchers for raw text elements, by name.
+    const rawTextEndTag = {};
+    RAW_TEXT_ELEMENTS.forEach(name => {
+        rawTextEndTag[name] = new RegExp(`</${literalNamePattern(name, caseInsensitive)}\\s*>`, 'g');
     });
+    return {
+        remainingTagAssertion: `(?=${optionalAttributePattern}\\s*\\/?>)`,
+        remainingTag: `${optionalAttributePattern}\\s*\\/?>`,
+        // The name of a raw text element.
+        rawTextName: `(?:${rawTextNames.join('|')})${tagNameEndPattern}`,
+        rawTextEndTag,
+        // A complete raw text element, after the `<`.
+        rawTextElement: rawTextNames.map(name =>
+            `${name}${tagNameEndPattern}${optionalAttributePattern}\\s*(?:\\/>|>[\\s\\S]*?<\\/${name}\\s*>)`)
+            .join('|'),
+        anyTag: new RegExp(`<(\/?)(${tagNamePattern})${optionalAttributePattern}\\s*(\\/?)>`, 'g'),
+        attrib: new RegExp(`\\s+${grammar.attributeCapture}|`, 'g'),
+    };
+}
+
+// Tag patterns by attribute grammar and tag name case sensitivity. Built on
+// first use.
+const TAG_PATTERNS = {};
+
+function getTagPatterns(attributeMode, caseInsensitive) {
+    const key = caseInsensitive ? `${attributeMode}-ci` : attributeMode;
+    if (!TAG_PATTERNS[key]) {
+        TAG_PATTERNS[key] = makeTagPatterns(ATTRIBUTE_GRAMMARS[attributeMode], caseInsensitive);
+    }
+    return TAG_PATTERNS[key];
+}
 
-// Entity decoding. We only support the small set of entities actually used by
-// HTML5 serialized as UTF8.
-const entityDecodeMap = {
-    '&amp;': '&',
-    '&quot;': '"',
-    '&#39;': "'",
-    '&lt;': '<',
-    '&gt;': '>',
+// Characters that can only appear encoded in attribute values, by quoting.
+const ENCODED_ONLY_CHARS = {
+    double: /"/,
+    single: /'/,
+    unquoted: /[\s"'=<>`]/,
 };
-function decodeEntities(s) {
-    return s.replace(/&[#a-zA-Z0-9]+;/g, function(match) {
-        const decoded = entityDecodeMap[match];
-        if (!decoded) {
-           throw new Error("Unsupported entity: " + match);
+
+const TAG_END = new RegExp('\\s*(\/?)>|', 'g');
+
+/**
+ * Check an element position against An+B structural selectors.
+ *
+ * @param {array|null} nth, `{ ofType, a, b }` objects, all of which need to
+ *   match.
+ * @param {object} position, with the 1-based `childIndex` and `typeIndex` of
+ *   the element among its siblings.
+ * @return {boolean}
+ */
+function matchPositions(nth, position) {
+    if (!nth) {
+        return true;
+    }
+    return nth.every(spec => {
+        const index = spec.ofType ? position.typeIndex : position.childIndex;
+        if (spec.a === 0) {
+            return index === spec.b;
         }
-        return decoded;
+        const n = (index - spec.b) / spec.a;
+        return n >= 0 && n === Math.floor(n);
     });
 }
 
+/**
+ * A Reader over an async iterator, like that of a node.js Readable.
+ */
+class AsyncIteratorReader {
+    constructor(iterator) {
+        this._iterator = iterator;
+    }
+
+    read() {
+        return this._iterator.next();
+    }
+
+    cancel(reason) {
+        // Ends the iteration, which destroys node.js Readables.
+        return this._iterator.return && this._iterator.return(reason);
+    }
+}
+
+/**
+ * Adapt the input to a Reader. In addition to the inputs supported by
+ * streamUtil.toReader, async iterables like node.js Readable streams are
+ * accepted.
+ *
+ * @param {mixed} input
+ * @return {Reader}
+ */
+function toReader(input) {
+    if (input && typeof input === 'object'
+            && typeof input[Symbol.asyncIterator] === 'function'
+            && typeof input.getReader !== 'function'
+            // node.js Readables have a synchronous read() method.
+            && (typeof input.read !== 'function' || typeof input.pipe === 'function')) {
+        return new AsyncIteratorReader(input[Symbol.asyncIterator]());
+    }
+    return streamUtil.toReader(input);
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Collect the Promises in a handler return value, including those in
+ * arrays like `node.innerContent`.
+ *
+ * @param {mixed} value
+ * @param {array} promises, the list to add to.
+ * @return {array} promises
+ */
+function collectPromises(value, promises) {
+    if (isThenable(value)) {
+        promises.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectPromises(item, promises));
+    }
+    return promises;
+}
+
+/**
+ * Resolve the Promises in a handler return value, keeping the order of
+ * array items.
+ *
+ * @param {mixed} value
+ * @return {Promise}
+ */
+function resolveValue(value) {
+    if (isThenable(value)) {
+        return Promise.resolve(value).then(resolveValue);
+    } else if (Array.isArray(value) && collectPromises(value, []).length) {
+        return Promise.all(value.map(resolveValue));
+    }
+    return Promise.resolve(value);
+}
+
+/**
+ * Check whether a handler return value is a ReadableStream or a Reader.
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function isStream(value) {
+    return !!value && typeof value === 'object'
+        && (typeof value.getReader === 'function' || typeof value.read === 'function');
+}
+
+/**
+ * Check whether a value is or contains a stream, including in arrays like
+ * `node.innerContent`, and nodes of `stream` rules.
+ *
+ * @param {mixed} value
+ * @return {boolean}
+ */
+function containsStream(value) {
+    return Array.isArray(value) ? value.some(containsStream)
+        : isStream(value instanceof ElementNode ? value.outerHTML : value);
+}
 
 /**
  * Element matcher.
@@ -67,15 +271,68 @@ class HTMLTransformReader {
       *
       * @param {array|Matcher} spec. One of:
       *   1) An array of rule definitions:
-      *      - A `selector` {object} definition, containing
-      *        - a `nodeName` {string}, and (optionally)
-      *        - `attributes, an array of attribute match definitions:
+      *      - A `selector` {object|string|array}: A CSS selector string
+      *      (possibly a comma-separated list), an array of selectors, or a
+      *      selector object definition, containing
+      *        - a `nodeName` {string}; omitted or "*" to match any tag name,
+      *        and (optionally)
+      *        - `attributes, an array of attribute match definitions, all of
+      *          which need to match. Each is either a
+      *          `[name, operator, value, flag]` array, or an object with
       *           - `name`: The attribute name.
-      *           - `operator`: One of "=", "^=" etc.
+      *           - `operator`: One of "=", "^=", "$=", "~=", "*=" or "|=".
       *           - `value`: Expected attribute value or pattern.
-      *      - A `handler`, function(node, ctx)
+      *           - `flag`: Optionally, "i" for ASCII case-insensitive value
+      *             matching, or "s" for case-sensitive matching (the
+      *             default).
+      *          Tag and attribute names can have a namespace prefix, as in
+      *          `svg:a` or `xlink:href`, or `*:` to allow any prefix or none.
+      *        - `not`, an optional array of selectors with `nodeName`,
+      *          `attributes` and `not` members as above. None of these may
+      *          match.
+      *        - `nth`, an optional array of structural predicates
+      *          `{ ofType, a, b }`, all of which need to match. The element's
+      *          1-based position among its siblings (of the same name, if
+      *          `ofType` is set) needs to equal a*n + b for some n >= 0.
+      *          Not supported in `not`.
+      *        - `has`, an optional array of selectors, at least one of which
+      *          needs to match an element inside the element. Each has an
+      *          outermost ancestor `{ scope: true, combinator }` standing
+      *          for the element itself. Candidate elements are buffered in
+      *          full, and passed through unchanged (while still matching
+      *          other rules inside them) if none of these selectors match.
+      *          Only supported in the rightmost compound selector, and not
+      *          with `stream`.
+      *        - `ancestors`, an optional array of selectors for ancestor
+      *          elements, innermost first. Each has a `nodeName`,
+      *          `attributes` and `nth` as above, and a `combinator`: " " if
+      *          the element needs to be an ancestor of the element matched
+      *          by the selector to its right, or ">" if it needs to be its
+      *          parent.
+      *      - A `handler`, function(node, ctx, selectorIndex). For selector
+      *      lists, `selectorIndex` is the index of the first selector that
+      *      matched. The handler can return a Promise, which `read()`
+      *      resolves before yielding the values, keeping document order.
+      *      `drainSync()` returns Promises as they are. The node is an
+      *      ElementNode, which can be modified with methods like
+      *      `setAttribute()` or `after()` and returned.
       *      - Optionally, a `stream` boolean. When set, the handler is passed
       *      `innerHTML` and `outerHTML` as a `ReadableStream` instance.
+      *      - For raw text elements like `script`, `style`, `textarea` or
+      *      `title`, the handler is also passed their `node.textContent`,
+      *      with character references decoded for `textarea` and `title`.
+      *      Not available with `stream`.
+      *      - Optionally, a `nested` boolean. When set, the element's content
+      *      is matched against all rules before the handler is called, and
+      *      the result is passed as `node.innerContent`: an array of literal
+      *      strings interspersed with the return values of handlers for
+      *      elements inside the element. Not supported with `stream`.
+      *      - Optionally, a `startTagOnly` boolean. When set, the handler is
+      *      called with just the start tag, as `outerHTML`, and `innerHTML`
+      *      set to null. Its return value replaces the start tag, and the
+      *      content and end tag are passed through without buffering, while
+      *      still matching other rules. Not supported with `stream`,
+      *      `nested` or `:has()`.
       *   2) A Matcher instance. In this case, the spec & pre-compiled
       *      matchers of that instance are reused, which is significantly more
       *      efficient. Match state and options are unique to the new
@@ -84,25 +341,83 @@ class HTMLTransformReader {
       *      - {boolean} matchOnly (optional): Only include matches in the values; drop
       *      unmatched content.
       *      - {object} ctx (optional): A context object passed to handlers.
+      *      - {boolean} lenientAttributes (optional): Accept unquoted
+      *      attribute values, whitespace around `=` and any attribute name,
+      *      as found in hand-written HTML. Boolean attributes without a value
+      *      are always accepted, and have an empty string value in
+      *      `node.attributes`.
+      *      - {boolean} caseInsensitiveTags (optional): Match tag names
+      *      ignoring ASCII case, as in `<DIV>` or `<Figure>` from legacy
+      *      HTML. Tag names are lower-cased in `node.nodeName`, while the
+      *      markup is passed through unchanged.
+      *      - {string} encoding (optional): The encoding of byte chunks
+      *      (`Uint8Array`, `Buffer` or `ArrayBuffer`) in the input, as a
+      *      `TextDecoder` label. Defaults to "utf-8". String chunks are
+      *      used as they are.
+      *      - {boolean} sniffEncoding (optional): Detect the encoding of
+      *      byte input from a byte order mark or a `<meta charset>`
+      *      declaration in its first 1024 bytes, falling back to
+      *      `encoding`.
+      *      - {string} outputEncoding (optional): Encode the output with
+      *      `TextEncoder`, which only supports "utf-8". Each `read()` then
+      *      yields a single `Uint8Array`, so that the reader can be used
+      *      as a response body. Handlers need to return strings.
+      *      - {number} concurrency (optional): The number of handlers whose
+      *      Promises can be pending at once. Later handlers are called once
+      *      earlier Promises settle, and are represented by Promises for
+      *      their values until then. While earlier values wait for their
+      *      Promises, following input is read and matched ahead until this
+      *      many values are pending, so that later handlers can start.
+      *      Handlers of `stream` rules are always called right away.
+      *      Defaults to 1, which runs async handlers one at a time.
+      *      - {number} hasBufferLimit (optional): The maximum content length
+      *      of `:has()` candidates, in characters. Candidates with longer
+      *      content don't match, and are passed through as soon as the
+      *      limit is exceeded. Defaults to 1048576.
+      *      - {boolean} flattenStreams (optional): Splice the chunks of
+      *      `ReadableStream`s and Readers returned by handlers (including
+      *      the `outerHTML` stream of `stream` rules) into the output as
+      *      they arrive, instead of yielding the streams. Each `read()`
+      *      yields either the values up to the next stream, or a single
+      *      stream chunk.
       */
     constructor(input, options) {
         this._rawInput = input;
-        this._reader = streamUtil.toReader(input);
         this._options = options || {};
+        this._reader = toReader(input);
+        if (typeof input !== 'string') {
+            this._reader = new charset.DecodeReader(this._reader, this._options);
+        }
+        if (this._options.outputEncoding) {
+            if (charset.getEncoding(this._options.outputEncoding) !== 'utf-8') {
+                throw new Error(`Unsupported output encoding: ${this._options.outputEncoding}`);
+            }
+            this._encoder = new TextEncoder();
+        }
         this._transforms = this._options.transforms;
         this._closed = false;
         this._matchedSome = false;
         if (!this._transforms) {
             throw new Error("No spec supplied!");
         }
-        this._re = {};
-        if (this._transforms._cache) {
-            this._re = this._transforms._cache;
+        // Compiled matchers are cached per attribute grammar and tag name
+        // case sensitivity.
+        const attributeMode = this._options.lenientAttributes ? 'lenient' : 'strict';
+        const caseInsensitiveTags = !!this._options.caseInsensitiveTags;
+        const cacheKey = caseInsensitiveTags ? `${attributeMode}-ci` : attributeMode;
+        const cache = this._transforms._cache || (this._transforms._cache = {});
+        if (cache[cacheKey]) {
+            this._re = cache[cacheKey];
         } else {
+            this._re = {
+                lenientAttributes: attributeMode === 'lenient',
+                caseInsensitiveTags,
+                tagPatterns: getTagPatterns(attributeMode, caseInsensitiveTags),
+            };
             this._normalizeTransforms();
             this._makeMatchers(this._transforms);
             // Efficient matcher for random Tags.
-            this._transforms._cache = this._re;
+            cache[cacheKey] = this._re;
         }
         this._reset();
     }
@@ -111,7 +426,11 @@ class HTMLTransformReader {
         // Convert spec to a Matcher spec.
         this._transforms.forEach(rule => {
             if (typeof rule.selector === 'string') {
-                rule.selector = parseCSSSelector(rule.selector);
+                const selectors = parseCSSSelectorList(rule.selector);
+                rule.selector = selectors.length === 1 ? selectors[0] : selectors;
+            } else if (Array.isArray(rule.selector)) {
+                rule.selector = rule.selector.map(selector =>
+                    typeof selector === 'string' ? parseCSSSelector(selector) : selector);
             }
         });
     }
@@ -124,16 +443,219 @@ class HTMLTransformReader {
         this._lastIndex = 0;
         this._matches = [];
         this._overallOffset = 0;
+        // Reads queued ahead of the consumer, while handler Promises are
+        // pending.
+        this._readAhead = [];
+        this._pendingPromises = 0;
+        this._reading = false;
+        // Handler calls waiting for running handlers to settle, and the
+        // number of handlers with pending Promises.
+        this._handlerQueue = [];
+        this._runningHandlers = 0;
+        // Output values and streams being spliced, innermost last.
+        this._flatStack = [];
+        // Open elements, when tracking context for combinators.
+        this._stack = [];
+        // Ancestor selector and stack positions that failed to match the
+        // current candidate, see _matchAncestors.
+        this._failedAncestors = new Set();
+        // Sibling counters for top-level elements.
+        this._rootCounters = { children: 0, types: new Map() };
     }
 
-    cancel() {
+    /**
+     * Cancel the input, and any streams returned by handlers that are being
+     * flattened.
+     *
+     * @param {mixed} reason
+     * @return {Promise} Settles once all cancellations did. Rejects if one
+     *   of them failed, for example as the input already errored.
+     */
+    cancel(reason) {
+        const cancelled = this._flatStack
+            .filter(source => source.reader && source.reader.cancel)
+            .map(source => source.reader.cancel(reason));
         this._reset();
         if (this._reader && this._reader.cancel) {
-           this._reader.cancel();
+            cancelled.push(this._reader.cancel(reason));
         }
+        return Promise.all(cancelled);
     }
 
     read() {
+        const res = this._options.flattenStreams ? this._readFlat() : this._readResolved();
+        if (!this._encoder) {
+            return res;
+        }
+        return res.then(res => {
+            if (!res.done) {
+                res.value = this._encodeValues(res.value);
+            }
+            return res;
+        });
+    }
+
+    /**
+     * Read the next output values, after resolving any Promises returned by
+     * handlers. While these are pending, input is read and matched ahead, so
+     * that later handlers can start as well.
+     *
+     * @return {Promise<object>}
+     */
+    _readResolved() {
+        if (!this._readAhead.length) {
+            this._queueRead();
+        }
+        return this._readAhead.shift()
+        .then(entry => entry.pending
+            ? resolveValue(entry.res.value).then(value => ({ value, done: false }))
+            : entry.res);
+    }
+
+    /**
+     * Read the next output values, splicing in the chunks of streams
+     * returned by handlers as they arrive. Values up to the next stream are
+     * yielded together, and each stream chunk on its own. Arrays containing
+     * streams are spliced in as well.
+     *
+     * @return {Promise<object>}
+     */
+    _readFlat() {
+        const stack = this._flatStack;
+        if (!stack.length) {
+            return this._readResolved()
+            .then(res => {
+                if (res.done) {
+                    return res;
+                }
+                stack.push({ values: res.value, index: 0 });
+                return this._readFlat();
+            });
+        }
+        const source = stack[stack.length - 1];
+        if (source.reader) {
+            return source.reader.read()
+            .then(res => {
+                if (res.done) {
+                    stack.pop();
+                } else {
+                    // Chunks can be streams themselves.
+                    stack.push({ values: [res.value], index: 0 });
+                }
+                return this._readFlat();
+            });
+        }
+        const values = [];
+        while (source.index < source.values.length) {
+            const value = source.values[source.index];
+            if (containsStream(value)) {
+                if (values.length) {
+                    return Promise.resolve({ value: values, done: false });
+                }
+                source.index++;
+                if (Array.isArray(value)) {
+                    stack.push({ values: value, index: 0 });
+                } else {
+                    // Nodes of `stream` rules are spliced in as their
+                    // outerHTML.
+                    const stream = value instanceof ElementNode ? value.outerHTML : value;
+                    stack.push({ reader: stream.getReader ? stream.getReader() : stream });
+                }
+                return this._readFlat();
+            }
+            values.push(value);
+            source.index++;
+        }
+        stack.pop();
+        return values.length ? Promise.resolve({ value: values, done: false }) : this._readFlat();
+    }
+
+    /**
+     * Add a read to the read-ahead queue, and keep track of the Promises in
+     * its values.
+     */
+    _queueRead() {
+        this._reading = true;
+        const entry = this._read()
+        .then(res => {
+            this._reading = false;
+            const promises = res.done ? [] : collectPromises(res.value, []);
+            const settled = () => {
+                this._pendingPromises--;
+                this._fillReadAhead();
+            };
+            promises.forEach(promise => Promise.resolve(promise).then(settled, settled));
+            this._pendingPromises += promises.length;
+            this._fillReadAhead();
+            return { res, pending: promises.length > 0 };
+        }, e => {
+            this._reading = false;
+            throw e;
+        });
+        // Errors are reported when the entry is read.
+        entry.catch(() => {});
+        this._readAhead.push(entry);
+    }
+
+    /**
+     * Read ahead while handler Promises are pending, up to the `concurrency`
+     * option.
+     */
+    _fillReadAhead() {
+        const concurrency = this._options.concurrency || 1;
+        if (!this._reading && !this._closed
+                && this._pendingPromises > 0
+                && this._pendingPromises < concurrency
+                && this._readAhead.length < concurrency
+                // Streamed matches read their content from the input as it
+                // is consumed.
+                && !(this._activeMatcherArgs && this._activeMatcherArgs.rule.stream)) {
+            this._queueRead();
+        }
+    }
+
+    /**
+     * Encode an array of output values.
+     *
+     * @param {array} values, literal strings and handler return values.
+     *   Returned nodes are encoded as their outerHTML. With
+     *   `flattenStreams`, byte chunks from streams are passed through as
+     *   they are, which assumes that they are UTF-8 encoded.
+     * @return {Uint8Array}
+     */
+    _encodeValues(values) {
+        values = values.map(value => value instanceof ElementNode ? value.outerHTML : value);
+        if (values.every(value => typeof value === 'string')) {
+            return this._encoder.encode(values.join(''));
+        }
+        let byteLength = 0;
+        const chunks = values.map(value => {
+            let chunk;
+            if (typeof value === 'string') {
+                chunk = this._encoder.encode(value);
+            } else if (this._options.flattenStreams && value instanceof ArrayBuffer) {
+                chunk = new Uint8Array(value);
+            } else if (this._options.flattenStreams && ArrayBuffer.isView(value)) {
+                chunk = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            } else {
+                throw new Error("Handlers need to return strings when encoding output");
+            }
+            byteLength += chunk.length;
+            return chunk;
+        });
+        if (chunks.length === 1) {
+            return chunks[0];
+        }
+        const res = new Uint8Array(byteLength);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            res.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return res;
+    }
+
+    _read() {
         return this._reader.read()
         .then(res => {
             if (res.done) {
@@ -156,7 +678,7 @@ class HTMLTransformReader {
             const matchRes = this._match(res.value);
             if (!matchRes.done && matchRes.value.length === 0) {
                 // Read some more until we can return something.
-                return this.read();
+                return this._read();
             }
             if (matchRes.done && matchRes.value.length) {
                 matchRes.done = false;
@@ -176,7 +698,7 @@ class HTMLTransformReader {
             this._reset();
             throw new Error(`Incomplete match. Remaining: ${remaining}`);
         }
-        return res.value;
+        return this._encoder ? this._encodeValues(res.value) : res.value;
     }
 
     /**
@@ -191,8 +713,11 @@ class HTMLTransformReader {
                     return;
                 }
                 // ElementMatch enqueue / close happens
-                // implicitly as part of recursive call.
-                this._matches = this._matches.concat(this._match(res.value).value);
+                // implicitly as part of recursive call. _match() returns
+                // the pending matches, including those already in
+                // this._matches.
+                const matches = this._match(res.value).value;
+                this._matches = this._matches.concat(matches);
                 if (!this._matchedSome && !this._matches.length && !controller._isClosed) {
                     return this._pull(controller);
                 }
@@ -217,6 +742,9 @@ class HTMLTransformReader {
 
         // Main document parse loop.
         let prevIndex;
+        // Set when a candidate element was passed through, which requires
+        // matching its content without advancing this._lastIndex.
+        let resume;
         do {
             prevIndex = this._lastIndex;
             if (!this._activeMatcher) {
@@ -225,17 +753,21 @@ class HTMLTransformReader {
                 // but not HTML5.
                 re.nonTargetStartTag.lastIndex = this._lastIndex;
                 re.nonTargetStartTag.exec(this._buffer);
-                if (re.nonTargetStartTag.lastIndex !== this._lastIndex) {
+                let nonTargetEnd = re.nonTargetStartTag.lastIndex;
+                if (re.trackContext) {
+                    nonTargetEnd = this._skipContextNonTargets(nonTargetEnd);
+                }
+                if (nonTargetEnd !== this._lastIndex) {
                     // Matched some content.
                     if (!this._options.matchOnly) {
                         this._matchedSome = true;
                         // Add to matches.
                         this._matches.push(this._buffer.slice(this._lastIndex,
-                            re.nonTargetStartTag.lastIndex));
+                            nonTargetEnd));
                     }
-                    this._lastIndex = re.nonTargetStartTag.lastIndex;
+                    this._lastIndex = nonTargetEnd;
                 }
-                if (re.nonTargetStartTag.lastIndex === this._buffer.length) {
+                if (nonTargetEnd === this._buffer.length) {
                     // All done.
                     this._lastIndex = 0;
                     this._overallOffset += this._buffer.length
@@ -246,8 +778,8 @@ class HTMLTransformReader {
                 prevIndex = this._lastIndex;
             }
 
-            this._matchElement();
-        } while (this._lastIndex !== prevIndex);
+            resume = this._matchElement();
+        } while (resume || this._lastIndex !== prevIndex);
 
         const matches = this._matches;
         this._matches = [];
@@ -267,205 +799,686 @@ class HTMLTransformReader {
         return !!match[1];
     }
 
+    /**
+     * Wait for more input, keeping the unprocessed remainder of the buffer.
+     */
+    _waitForInput() {
+        this._overallOffset += this._lastIndex;
+        this._buffer = this._buffer.slice(this._lastIndex);
+        this._lastIndex = 0;
+    }
+
+    /**
+     * Find the next target start tag. On success, this._lastIndex is moved
+     * past the tag name.
+     *
+     * @return {object|null} The target index, node name and tag position,
+     *   or null if no target tag is available yet.
+     */
+    _matchTargetTag() {
+        const re = this._re;
+        re.targetTag.lastIndex = this._lastIndex;
+        const targetMatch = re.targetTag.exec(this._buffer);
+        // Look up the selector that matched, by group index. Each group
+        // captures the tag name.
+        let targetIndex = 2;
+        while (targetMatch && targetMatch[targetIndex] === undefined) {
+            targetIndex++;
+        }
+        if (!targetMatch || targetIndex - 2 === re.targets.length) {
+            // Can't match a targetTag yet, or stopped at an incomplete
+            // <script> element. Wait for more input.
+            this._waitForInput();
+            return null;
+        }
+        const nodeName = this._normalizeTagName(targetMatch[targetIndex]);
+        if (targetMatch[1]) {
+            const tagPosition = this._overallOffset + targetMatch.index;
+            throw new Error(`Stray end tag </${nodeName}> at position ${tagPosition}`);
+        }
+        this._lastIndex = re.targetTag.lastIndex;
+        return {
+            targetIndex: targetIndex - 2,
+            nodeName,
+            index: targetMatch.index,
+        };
+    }
+
+    /**
+     * Step over tags that don't match any rule in their context, while
+     * maintaining the stack of open elements. Used instead of a plain
+     * nonTargetStartTag match when selectors have combinators.
+     *
+     * Sets this._contextTarget to the target tag found at the returned
+     * index, if any.
+     *
+     * @param {number} index, the buffer position to start at.
+     * @return {number} The buffer position of the first target or
+     *   incomplete tag, or the end of the buffer.
+     */
+    _skipContextNonTargets(index) {
+        const re = this._re;
+        const stack = this._stack;
+        this._contextTarget = null;
+        while (index < this._buffer.length) {
+            re.anyTag.lastIndex = index;
+            const match = re.anyTag.exec(this._buffer);
+            if (!match || match.index !== index) {
+                // Incomplete tag.
+                return index;
+            }
+            const nodeName = this._normalizeTagName(match[2]);
+            let nextIndex = re.anyTag.lastIndex;
+            if (!match[1]) {
+                const tag = match[0];
+                if (RAW_TEXT_ELEMENTS.has(nodeName) && !match[3]) {
+                    // Step over the text content, once complete.
+                    const endTag = re.tagPatterns.rawTextEndTag[nodeName];
+                    endTag.lastIndex = nextIndex;
+                    if (!endTag.exec(this._buffer)) {
+                        return index;
+                    }
+                    nextIndex = endTag.lastIndex;
+                }
+                // Count the element among the children of its parent.
+                const counters = stack.length
+                    ? stack[stack.length - 1] : this._rootCounters;
+                const position = {
+                    childIndex: ++counters.children,
+                    typeIndex: (counters.types.get(nodeName) || 0) + 1,
+                };
+                counters.types.set(nodeName, position.typeIndex);
+                for (let i = 0; i < re.targetTags.length; i++) {
+                    if (re.targetTags[i].test(tag)
+                            && matchPositions(re.positions[i], position)
+                            && this._matchAncestors(re.ancestors[i], 0, stack.length)) {
+                        this._contextTarget = { targetIndex: i, nodeName, index, position };
+                        return index;
+                    }
+                }
+                if (!match[3] && !VOID_ELEMENTS.has(nodeName)
+                        && !RAW_TEXT_ELEMENTS.has(nodeName)) {
+                    this._pushContext(nodeName, tag, position);
+                }
+            } else {
+                // End tag. Pop up to & including the nearest open element
+                // of the same name, if any.
+                let i = stack.length - 1;
+                while (i >= 0 && stack[i].nodeName !== nodeName) {
+                    i--;
+                }
+                if (i >= 0) {
+                    stack.length = i;
+                }
+            }
+            // Step over text, comments etc following the tag.
+            re.nonTargetStartTag.lastIndex = nextIndex;
+            re.nonTargetStartTag.exec(this._buffer);
+            index = re.nonTargetStartTag.lastIndex;
+        }
+        return index;
+    }
+
+    /**
+     * Normalize a tag name from the input for comparisons.
+     *
+     * @param {string} nodeName
+     * @return {string} The name, lower-cased in case-insensitive mode.
+     */
+    _normalizeTagName(nodeName) {
+        return this._re.caseInsensitiveTags ? nodeName.toLowerCase() : nodeName;
+    }
+
+    /**
+     * Push an open element onto the context stack.
+     *
+     * @param {string} nodeName
+     * @param {string} tag, the element's start tag.
+     * @param {object} position, the element's `childIndex` and `typeIndex`.
+     */
+    _pushContext(nodeName, tag, position) {
+        this._stack.push({
+            nodeName,
+            tag,
+            childIndex: position.childIndex,
+            typeIndex: position.typeIndex,
+            // Counters for the element's own children.
+            children: 0,
+            types: new Map(),
+        });
+    }
+
+    /**
+     * Context-tracking variant of _matchTargetTag, returning the target
+     * found by _skipContextNonTargets.
+     */
+    _takeContextTarget() {
+        const target = this._contextTarget;
+        if (!target) {
+            // Incomplete tag. Wait for more input.
+            this._waitForInput();
+            return null;
+        }
+        this._contextTarget = null;
+        this._lastIndex = target.index + 1 + target.nodeName.length;
+        return target;
+    }
+
+    /**
+     * Check ancestor selectors against the stack of open elements.
+     *
+     * @param {array} ancestors, compiled ancestor selectors, innermost
+     *   first.
+     * @param {number} i, the index of the ancestor selector to check.
+     * @param {number} stackIndex, the stack position of the element matched
+     *   by the previous selector.
+     * @return {boolean}
+     */
+    _matchAncestors(ancestors, i, stackIndex) {
+        if (i === 0) {
+            this._failedAncestors.clear();
+        }
+        if (i === ancestors.length) {
+            return true;
+        }
+        const ancestor = ancestors[i];
+        const stack = this._stack;
+        if (ancestor.scope) {
+            // The element a :has() selector is evaluated for, which is the
+            // outermost element of the input.
+            return ancestor.combinator === '>' ? stackIndex === 1 : stackIndex > 0;
+        }
+        if (ancestor.combinator === '>') {
+            // Parent only.
+            const parentIndex = stackIndex - 1;
+            return parentIndex >= 0 && ancestor.re.test(stack[parentIndex].tag)
+                && matchPositions(ancestor.nth, stack[parentIndex])
+                && this._matchAncestors(ancestors, i + 1, parentIndex);
+        }
+        // Any ancestor. Unless the next selector needs to match the parent
+        // of this one, the nearest match leaves the most ancestors for the
+        // remaining selectors, so that no other match needs to be tried.
+        // Otherwise, positions that failed before are skipped, which keeps
+        // the cost polynomial in the stack depth.
+        const next = ancestors[i + 1];
+        const nearestOnly = !next || next.combinator !== '>';
+        const key = i * (stack.length + 1) + stackIndex;
+        if (this._failedAncestors.has(key)) {
+            return false;
+        }
+        for (let j = stackIndex - 1; j >= 0; j--) {
+            if (ancestor.re.test(stack[j].tag)
+                    && matchPositions(ancestor.nth, stack[j])) {
+                if (this._matchAncestors(ancestors, i + 1, j)) {
+                    return true;
+                } else if (nearestOnly) {
+                    break;
+                }
+            }
+        }
+        this._failedAncestors.add(key);
+        return false;
+    }
+
     _matchElement() {
         let args = this._activeMatcherArgs;
         const re = this._re;
         if (!args) {
             // First call.
-            re.targetTag.lastIndex = this._lastIndex;
-
-            // Try to match a target tag.
-            const targetMatch = re.targetTag.exec(this._buffer);
-            // Match the remainder of the element.
-
-            if (!targetMatch) {
-                // Can't match a targetTag yet. Wait for more input.
-                this._overallOffset += this._lastIndex;
-                this._buffer = this._buffer.slice(this._lastIndex);
-                this._lastIndex = 0;
+            const target = re.trackContext
+                ? this._takeContextTarget() : this._matchTargetTag();
+            if (!target) {
+                // Waiting for more input.
                 return;
             }
 
             this._activeMatcher = this._matchElement;
-            this._lastIndex = re.targetTag.lastIndex;
-
-            if (!targetMatch[1]) {
-                // Start tag.
-
-                // The attribute match is guaranteed to complete, as our targetTag
-                // regexp asserts that the entire tag (incl attributes) is
-                // available.
-                const attributes = this._matchAttributes();
-
-                // Consume the tag end & update this._lastIndex
-                // XXX: Also support serialization of self-closing tags
-                // without /> by checking nodeName against a list of
-                // self-closing tags? Would need look-ahead to consume
-                // optional end tag in that case.
-                const isSelfClosingTag = this._matchTagEnd();
-
-                // Set up elementMatcherArgs
-                this._activeMatcherArgs = args = {};
-                // Look up the handler matching the selector, by group index.
-                for (let i = 2; i < targetMatch.length; i++) {
-                    let tagMatch = targetMatch[i];
-                    if (tagMatch !== undefined) {
-                        args.rule = this._transforms[i-2];
-                        break;
-                    }
-                }
-                args.node = {
-                    nodeName: args.rule.selector.nodeName,
-                    attributes,
-                    outerHTML: this._buffer.slice(re.nonTargetStartTag.lastIndex, this._lastIndex),
-                    innerHTML: '',
-                };
 
-                if (isSelfClosingTag) {
-                    // Close out the match.
-                    if (args.rule.stream) {
-                        args.node.outerHTML = new ReadableStream({
-                            start: constroller => {
-                                controller.enqueue(args.node.outerHTML);
-                                controller.close();
-                            }
-                        });
-                        args.node.innerHTML = new ReadableStream({
-                            start: constroller => controller.close()
-                        });
-                    }
-                    this._matches.push(args.rule.handler(args.node, this._options.ctx));
-                    this._activeMatcher = null;
-                    this._activeMatcherArgs = null;
-                    return;
-                }
+            // The attribute match is guaranteed to complete, as our targetTag
+            // regexp asserts that the entire tag (incl attributes) is
+            // available.
+            const attributes = this._matchAttributes();
+
+            // Consume the tag end & update this._lastIndex. Void elements
+            // are complete without the self-closing slash.
+            const isSelfClosingTag = this._matchTagEnd()
+                || VOID_ELEMENTS.has(target.nodeName);
+
+            // Set up elementMatcherArgs
+            const targetSpec = re.targets[target.targetIndex];
+            this._activeMatcherArgs = args = {
+                rule: targetSpec.rule,
+                // The index of the matching selector, for selector lists.
+                selectorIndex: targetSpec.selectorIndex,
+                targetIndex: target.targetIndex,
+                // The actual tag name, which is used for balancing.
+                nodeName: target.nodeName,
+                // Position among siblings, when tracking context.
+                position: target.position,
+            };
+            args.node = new ElementNode(target.nodeName, attributes,
+                this._buffer.slice(target.index, this._lastIndex));
+            args.startTagLength = args.node.outerHTML.length;
 
+            if (args.rule.startTagOnly) {
+                // The content is not available to the handler.
+                args.node.innerHTML = null;
+            }
+            if (args.rule.startTagOnly && !RAW_TEXT_ELEMENTS.has(args.nodeName)) {
+                this._activeMatcher = null;
+                this._activeMatcherArgs = null;
+                return this._replaceStartTag(args, isSelfClosingTag);
+            }
+
+            if (isSelfClosingTag) {
+                // Close out the match.
                 if (args.rule.stream) {
                     args.node.outerHTML = new ReadableStream({
                         start: controller => {
                             controller.enqueue(args.node.outerHTML);
-                            args.outerHTMLController = controller;
-                        },
-                        pull: controller => this._pull(controller)
+                            controller.close();
+                        }
                     });
                     args.node.innerHTML = new ReadableStream({
-                        start: controller => {
-                            args.innerHTMLController = controller;
-                        },
-                        pull: controller => this._pull(controller)
+                        start: controller => controller.close()
                     });
-                    // Call the handler
-                    this._matches.push(args.rule.handler(args.node, this._options.ctx));
                 }
-                args.depth = 1;
-            } else {
-                const tagPosition = this._overallOffset + targetMatch.index;
-                throw new Error(`Stray end tag </${targetMatch[3]}> at position ${tagPosition}`);
+                this._activeMatcher = null;
+                this._activeMatcherArgs = null;
+                if (!this._matchHas(args)) {
+                    this._passThrough(args, false);
+                    return;
+                }
+                this._matches.push(this._callHandler(args));
+                return;
+            }
+
+            if (args.rule.stream) {
+                args.node.outerHTML = new ReadableStream({
+                    start: controller => {
+                        controller.enqueue(args.node.outerHTML);
+                        args.outerHTMLController = controller;
+                    },
+                    pull: controller => this._pull(controller)
+                });
+                args.node.innerHTML = new ReadableStream({
+                    start: controller => {
+                        args.innerHTMLController = controller;
+                    },
+                    pull: controller => this._pull(controller)
+                });
+                // Call the handler
+                this._matches.push(this._callHandler(args));
             }
+            args.depth = 1;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(args.nodeName)) {
+            // Text content. Only look for the end tag.
+            const endTag = re.tagPatterns.rawTextEndTag[args.nodeName];
+            endTag.lastIndex = this._lastIndex;
+            const match = endTag.exec(this._buffer);
+            if (!match) {
+                // Content before a potential partial end tag is complete.
+                const partialEndIndex = this._buffer.lastIndexOf('<');
+                return this._waitInElement(args, partialEndIndex >= this._lastIndex
+                    ? partialEndIndex : this._buffer.length);
+            }
+            return this._finishElement(args, match.index, endTag.lastIndex);
         }
 
         re.anyTag.lastIndex = this._lastIndex;
+        const otherTag = this._getOtherTagMatcher(args.nodeName);
 
         while (true) {
             let lastAnyIndex = re.anyTag.lastIndex;
             // Efficiently skip over tags we aren't interested in.
-            re.otherTag.lastIndex = lastAnyIndex;
-            re.otherTag.exec(this._buffer);
-            if (re.otherTag.lastIndex > lastAnyIndex) {
-                lastAnyIndex = re.otherTag.lastIndex;
-                re.anyTag.lastIndex = re.otherTag.lastIndex;
+            otherTag.lastIndex = lastAnyIndex;
+            otherTag.exec(this._buffer);
+            if (otherTag.lastIndex > lastAnyIndex) {
+                lastAnyIndex = otherTag.lastIndex;
+                re.anyTag.lastIndex = otherTag.lastIndex;
             }
             // Inspect the next (potentially interesting) tag more closely.
             const match = re.anyTag.exec(this._buffer);
             if (!match) {
                 // Can't complete a match.
-                if (lastAnyIndex) {
-                    // Matched *some* content.
-                    this._matchedSome = true;
-                    if (args.rule.stream) {
-                        const chunk = this._buffer.substring(this._lastIndex,
-                            lastAnyIndex);
-                        args.outerHTMLController.enqueue(chunk);
-                        args.innerHTMLController.enqueue(chunk);
-                        this._overallOffset += lastAnyIndex;
-                        this._buffer = this._buffer.slice(lastAnyIndex);
-                        this._lastIndex = 0;
-                    } else {
-                        // Hold onto the entire input for the element.
-                        this._overallOffset += this._lastIndex;
-                        this._buffer = this._buffer.slice(this._lastIndex);
-                        this._lastIndex = 0;
-                    }
-                    return;
-                } else {
-                    // Repeat read until we can return a chunk.
-                    this.read().then(res => {
-                        if (!res.done) {
-                            this._matches = this._matches.concat(res.value);
-                        }
-                    });
-                    return;
-                }
+                return this._waitInElement(args, lastAnyIndex);
             }
 
-            if (match[2] === args.rule.selector.nodeName) {
+            const nodeName = this._normalizeTagName(match[2]);
+            if (nodeName === args.nodeName) {
                 if (match[1]) {
                     // End tag
                     args.depth--;
                     if (args.depth === 0) {
-                        this._matchedSome = true;
-                        const outerChunk = this._buffer.substring(this._lastIndex,
-                                re.anyTag.lastIndex);
-                        const innerChunk = this._buffer.substring(this._lastIndex, match.index);
-                        if (args.rule.stream) {
-                            args.outerHTMLController.enqueue(outerChunk);
-                            args.outerHTMLController.close();
-                            args.outerHTMLController._isClosed = true;
-                            args.innerHTMLController.enqueue(innerChunk);
-                            args.innerHTMLController.close();
-                            args.innerHTMLController._isClosed = true;
-                        } else {
-                            args.node.outerHTML += outerChunk;
-                            args.node.innerHTML += innerChunk;
-                            // Call the handler
-                            this._matches.push(args.rule.handler(args.node, this._options.ctx));
-                        }
-
-                        this._lastIndex = re.anyTag.lastIndex;
-                        this._activeMatcher = null;
-                        this._activeMatcherArgs = null;
-                        return;
+                        return this._finishElement(args, match.index, re.anyTag.lastIndex);
                     }
-                } else if (!match[3]) {
+                } else if (!match[3] && !VOID_ELEMENTS.has(nodeName)) {
                     // Start tag.
                     args.depth++;
                 }
+            } else if (!match[1] && !match[3] && RAW_TEXT_ELEMENTS.has(nodeName)) {
+                // A raw text element the otherTag matcher could not step
+                // over, as it is incomplete.
+                const endTag = re.tagPatterns.rawTextEndTag[nodeName];
+                endTag.lastIndex = re.anyTag.lastIndex;
+                if (!endTag.exec(this._buffer)) {
+                    return this._waitInElement(args, match.index);
+                }
+                re.anyTag.lastIndex = endTag.lastIndex;
+            }
+        }
+    }
+
+    /**
+     * Wait for more input to complete the active match.
+     *
+     * @param {object} args, the match state.
+     * @param {number} safeIndex, the buffer position up to which the
+     *   element's content has been scanned.
+     * @return {boolean|undefined} true if the element was passed through,
+     *   see _passThrough.
+     */
+    _waitInElement(args, safeIndex) {
+        if (this._exceedsHasBufferLimit(args, safeIndex - this._lastIndex)) {
+            return this._passThrough(args, true);
+        }
+        if (safeIndex || !args.rule.stream) {
+            // Matched *some* content, or we are buffering the
+            // element anyway. Only streamed matches need to read
+            // ahead to make progress.
+            this._matchedSome = true;
+            if (args.rule.stream) {
+                const chunk = this._buffer.substring(this._lastIndex,
+                    safeIndex);
+                args.outerHTMLController.enqueue(chunk);
+                args.innerHTMLController.enqueue(chunk);
+                this._overallOffset += safeIndex;
+                this._buffer = this._buffer.slice(safeIndex);
+                this._lastIndex = 0;
+            } else {
+                // Hold onto the entire input for the element. Its content
+                // is scanned again from the start, at the initial depth.
+                this._overallOffset += this._lastIndex;
+                this._buffer = this._buffer.slice(this._lastIndex);
+                this._lastIndex = 0;
+                args.depth = 1;
+            }
+        } else {
+            // Repeat read until we can return a chunk.
+            this._read().then(res => {
+                if (!res.done) {
+                    this._matches = this._matches.concat(res.value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Complete the active match at its end tag, and call the handler.
+     *
+     * @param {object} args, the match state.
+     * @param {number} endTagIndex, the buffer position of the end tag.
+     * @param {number} endIndex, the buffer position just past the end tag.
+     * @return {boolean|undefined} true if the element was passed through,
+     *   see _passThrough.
+     */
+    _finishElement(args, endTagIndex, endIndex) {
+        this._matchedSome = true;
+        const outerChunk = this._buffer.substring(this._lastIndex, endIndex);
+        const innerChunk = this._buffer.substring(this._lastIndex, endTagIndex);
+        this._activeMatcher = null;
+        this._activeMatcherArgs = null;
+        if (args.rule.startTagOnly) {
+            // A raw text element, whose content was buffered to find its
+            // end tag. The handler still only sees the start tag.
+            this._matches.push(this._callHandler(args));
+            if (!this._options.matchOnly) {
+                this._matches.push(outerChunk);
+            }
+        } else if (args.rule.stream) {
+            args.outerHTMLController.enqueue(outerChunk);
+            args.outerHTMLController.close();
+            args.outerHTMLController._isClosed = true;
+            args.innerHTMLController.enqueue(innerChunk);
+            args.innerHTMLController.close();
+            args.innerHTMLController._isClosed = true;
+        } else {
+            if (this._exceedsHasBufferLimit(args, innerChunk.length)) {
+                return this._passThrough(args, true);
+            }
+            args.node._append(outerChunk, innerChunk);
+            if (this._matchHas(args)) {
+                // Call the handler
+                this._matches.push(this._callHandler(args));
+            } else if (!RAW_TEXT_ELEMENTS.has(args.nodeName)) {
+                // Resume matching after the start tag.
+                return this._passThrough(args, true);
+            } else if (!this._options.matchOnly) {
+                // Text content can't contain other matches.
+                this._matches.push(args.node.outerHTML);
             }
         }
+        this._lastIndex = endIndex;
+    }
+
+    /**
+     * Evaluate the :has() selectors of a matched target, if any, against the
+     * buffered element.
+     *
+     * @param {object} args, the match state.
+     * @return {boolean} Whether the element matches.
+     */
+    _matchHas(args) {
+        const hasTransforms = this._re.has[args.targetIndex];
+        if (!hasTransforms) {
+            return true;
+        }
+        return new HTMLTransformReader(args.node.outerHTML, {
+            transforms: hasTransforms,
+            matchOnly: true,
+            lenientAttributes: this._options.lenientAttributes,
+            caseInsensitiveTags: this._options.caseInsensitiveTags,
+        }).drainSync().length > 0;
+    }
+
+    /**
+     * Check whether a :has() candidate has more content than can be
+     * buffered. Raw text elements are not candidates, as they can't contain
+     * elements.
+     *
+     * @param {object} args, the match state.
+     * @param {number} contentLength, the length of the content seen so far.
+     * @return {boolean}
+     */
+    _exceedsHasBufferLimit(args, contentLength) {
+        if (!this._re.has[args.targetIndex] || RAW_TEXT_ELEMENTS.has(args.nodeName)) {
+            return false;
+        }
+        const limit = this._options.hasBufferLimit === undefined
+            ? DEFAULT_HAS_BUFFER_LIMIT : this._options.hasBufferLimit;
+        if (contentLength <= limit) {
+            return false;
+        }
+        this._activeMatcher = null;
+        this._activeMatcherArgs = null;
+        return true;
+    }
+
+    /**
+     * Replace the start tag of a `startTagOnly` match with the handler's
+     * return value. The content is then matched against the rules again, and
+     * passed through without buffering. this._lastIndex is expected to point
+     * just past the start tag.
+     *
+     * @param {object} args, the match state.
+     * @param {boolean} isSelfClosingTag
+     * @return {boolean} true, to signal that matching should continue.
+     */
+    _replaceStartTag(args, isSelfClosingTag) {
+        // The handler can modify the node.
+        const startTag = args.node.outerHTML;
+        this._matchedSome = true;
+        this._matches.push(this._callHandler(args));
+        if (this._re.trackContext && !isSelfClosingTag) {
+            this._pushContext(args.nodeName, startTag, args.position);
+        }
+        return true;
+    }
+
+    /**
+     * Pass through the start tag of an element that turned out not to
+     * match, so that its content is matched against the rules again.
+     * this._lastIndex is expected to point just past the start tag.
+     *
+     * @param {object} args, the match state.
+     * @param {boolean} hasContent, false for self-closing elements.
+     * @return {boolean} true, to signal that matching should continue even
+     *   if this._lastIndex did not change.
+     */
+    _passThrough(args, hasContent) {
+        const startTag = args.node.outerHTML.slice(0, args.startTagLength);
+        if (!this._options.matchOnly) {
+            this._matchedSome = true;
+            this._matches.push(startTag);
+        }
+        if (this._re.trackContext && hasContent) {
+            this._pushContext(args.nodeName, startTag, args.position);
+        }
+        return true;
+    }
+
+    /**
+     * Call the handler of the matched rule.
+     *
+     * @param {object} args, the match state.
+     * @return {mixed} The handler's return value. A returned node is
+     *   replaced with an array if content was inserted around or instead of
+     *   it. While `concurrency` handlers are running, a Promise for the value
+     *   of a later call.
+     */
+    _callHandler(args) {
+        if (RAW_TEXT_ELEMENTS.has(args.nodeName) && !args.rule.stream
+                && !args.rule.startTagOnly) {
+            const text = args.node.innerHTML;
+            args.node.textContent = RCDATA_ELEMENTS.has(args.nodeName)
+                ? htmlEntities.decodeEntities(text) : text;
+            if (args.rule.nested) {
+                // No elements inside.
+                args.node.innerContent = [text];
+            }
+        } else if (args.rule.nested) {
+            args.node.innerContent = this._matchNested(args);
+        }
+        // Streamed matches only progress as their content is read, so their
+        // handlers can't wait.
+        if (this._runningHandlers >= (this._options.concurrency || 1) && !args.rule.stream) {
+            return new Promise((resolve, reject) => {
+                this._handlerQueue.push(() => {
+                    try {
+                        resolve(this._runHandler(args));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+        }
+        return this._runHandler(args);
+    }
+
+    /**
+     * Run the handler of the matched rule, and keep track of the Promises it
+     * returns.
+     *
+     * @param {object} args, the match state.
+     * @return {mixed} The handler's return value, as for _callHandler.
+     */
+    _runHandler(args) {
+        const node = args.node;
+        const value = args.rule.handler(node, this._options.ctx, args.selectorIndex);
+        const promises = collectPromises(value, []);
+        if (promises.length) {
+            // Running until all of its Promises settled.
+            this._runningHandlers++;
+            Promise.all(promises.map(promise => Promise.resolve(promise).catch(() => {})))
+            .then(() => {
+                this._runningHandlers--;
+                this._startQueuedHandlers();
+            });
+        }
+        // Apply content inserted around or instead of a returned node.
+        if (value === node) {
+            return node._toValue();
+        } else if (isThenable(value)) {
+            return value.then(value => value === node ? node._toValue() : value);
+        }
+        return value;
+    }
+
+    /**
+     * Start queued handler calls, up to the `concurrency` option.
+     */
+    _startQueuedHandlers() {
+        const concurrency = this._options.concurrency || 1;
+        while (this._handlerQueue.length && this._runningHandlers < concurrency) {
+            this._handlerQueue.shift()();
+        }
+    }
+
+    /**
+     * Match the content of a buffered element against all rules.
+     *
+     * @param {object} args, the match state.
+     * @return {array} Literal strings interspersed with handler return
+     *   values.
+     */
+    _matchNested(args) {
+        const reader = new HTMLTransformReader(args.node.innerHTML,
+            Object.assign({}, this._options, {
+                // Keep all content as strings, so that the result can be
+                // spliced.
+                matchOnly: false,
+                outputEncoding: undefined,
+            }));
+        if (this._re.trackContext) {
+            // Selectors inside the element can refer to the element itself
+            // and its ancestors.
+            reader._stack = this._stack.slice();
+            reader._pushContext(args.nodeName,
+                args.node.outerHTML.slice(0, args.startTagLength), args.position);
+        }
+        return reader.drainSync();
     }
 
     _matchAttributes() {
 
-        ATTRIB.lastIndex = this._lastIndex;
+        const attrib = this._re.tagPatterns.attrib;
+        attrib.lastIndex = this._lastIndex;
         const attributes = {};
         while (true) {
-            const match = ATTRIB.exec(this._buffer);
+            const match = attrib.exec(this._buffer);
             if (match[0].length === 0) {
                 break;
             }
-            let val = match[2] || match[3];
+            let val = match[2];
+            if (val === undefined) {
+                // Single-quoted, unquoted or no value.
+                val = match[3] !== undefined ? match[3] : match[4] || '';
+            }
             if (val.indexOf('&') !== -1) {
                 // Decode HTML entities
-                val = decodeEntities(val);
+                val = htmlEntities.decodeEntities(val);
             }
             attributes[match[1]] = val;
         }
-        this._lastIndex = ATTRIB.lastIndex;
+        this._lastIndex = attrib.lastIndex;
         return attributes;
     }
 
     _makeMatchers(spec) {
         const self = this;
+        const tagPatterns = this._re.tagPatterns;
         this.lastIndex = 0;
         // Need:
         // - Start tag matcher. Safe, as '<' is always escaped, including
@@ -473,90 +1486,256 @@ class HTMLTransformReader {
         // - Random tag matcher. Match as long as level reaches zero.
 
 
-        const tagMatchPatterns = spec
-            .map(rule => self._compileTagMatcher(rule.selector));
-        // Never match <script> by default
-        tagMatchPatterns.push('script');
+        // Each selector of each rule is a separate target, in order.
+        const targets = [];
+        spec.forEach(rule => {
+            const selectors = Array.isArray(rule.selector) ? rule.selector : [rule.selector];
+            selectors.forEach((selector, selectorIndex) =>
+                targets.push({ rule, selector, selectorIndex }));
+        });
+        this._re.targets = targets;
+        if (targets.some(target => target.rule.nested && target.rule.stream)) {
+            throw new Error("Nested matching is not supported for streaming rules");
+        }
+        if (targets.some(target => target.rule.startTagOnly
+                && (target.rule.nested || target.rule.stream))) {
+            throw new Error("startTagOnly rules can't be nested or streaming");
+        }
+
+        // Per-target rules for evaluating :has() selectors against buffered
+        // elements. Their matchers are cached on first use.
+        this._re.has = targets.map(target => {
+            const selector = target.selector;
+            if ((selector.ancestors || []).some(ancestor => ancestor.has)) {
+                throw new Error(":has() is only supported in the rightmost compound selector");
+            }
+            if (!selector.has) {
+                return null;
+            }
+            if (target.rule.stream) {
+                throw new Error(":has() is not supported for streaming rules");
+            }
+            if (target.rule.startTagOnly) {
+                throw new Error(":has() is not supported for startTagOnly rules");
+            }
+            return [{ selector: selector.has, handler: () => true }];
+        });
 
-        const commentMatchPattern = '!--[\\s\\S]*?-->';
-        // A bit of a hack. Step over <script> content unconditionally.
-        // TODO: Support matching <script> elements.
-        const scriptMatchPattern = 'script\\s?[^>]*>(?:(?!<\/script>)[\\s\\S])*</script>|script\\s?[^>]*/>';
+        const tagMatchPatterns = targets
+            .map(target => self._compileTagMatcher(target.selector));
+        // Also stop at raw text elements that are not yet complete, as
+        // their content can't be scanned for tags.
+        const stopPatterns = tagMatchPatterns.concat([tagPatterns.rawTextName]);
 
-        // A matcher for the tags we are *not* interested in. Used in HTML5 mode.
-        const tagMatchAssertions = tagMatchPatterns
-            .map(pattern => '(?:' + pattern + ')')
-            .join('|');
-        this._re.nonTargetStartTag = new RegExp(`[^<]*(?:<(?:[\\/! ]*(?!${
-            tagMatchAssertions
-        })[a-zA-Z][a-zA-Z0-9_-]*${remainingTagPattern}|${commentMatchPattern}|${scriptMatchPattern})[^<]*)*`, 'g');
+        // Selectors with combinators need to know about the ancestors of
+        // each potential match, and structural pseudo-classes about its
+        // preceding siblings. In that case, we stop at each tag to
+        // maintain a stack of open elements and sibling counters, which is
+        // significantly slower.
+        this._re.trackContext = targets.some(target => {
+            const ancestors = target.selector.ancestors || [];
+            return ancestors.length > 0 || target.selector.nth
+                || ancestors.some(ancestor => ancestor.nth);
+        });
 
-        const nodeNames = new Set();
-        spec.forEach(rule => nodeNames.add(rule.selector.nodeName));
-        const nodeNameRe = Array.from(nodeNames.keys()).join('|');
+        if (this._re.trackContext) {
+            // Only step over text, comments and doctypes.
+            this._re.nonTargetStartTag = new RegExp(`[^<]*(?:<(?:!${tagNamePattern}${tagPatterns.remainingTag}|${commentMatchPattern})[^<]*)*`, 'g');
+            // Per-target matchers for a complete start tag.
+            this._re.targetTags = tagMatchPatterns.map(pattern =>
+                new RegExp(`^<${pattern}`));
+            this._re.positions = targets.map(target => target.selector.nth || null);
+            this._re.ancestors = targets.map(target =>
+                (target.selector.ancestors || []).map(ancestor => ({
+                    combinator: ancestor.combinator,
+                    re: new RegExp(`^<${self._compileTagMatcher(ancestor)}`),
+                    nth: ancestor.nth || null,
+                    scope: !!ancestor.scope,
+                })));
+        } else {
+            // A matcher for the tags we are *not* interested in. Used in HTML5 mode.
+            const tagMatchAssertions = stopPatterns
+                .map(pattern => '(?:' + pattern + ')')
+                .join('|');
+            // End tags are only of interest for targets matching all
+            // elements of a given name, as a stray end tag can't be told
+            // apart from the end tag of a non-target element otherwise.
+            // The end tags of startTagOnly matches are passed through as
+            // content, so these can't be told apart either.
+            const startTagOnlyNames = targets
+                .filter(target => target.rule.startTagOnly)
+                .map(target => (target.selector.nodeName || '*').toLowerCase());
+            const endTagNamePatterns = targets
+                .filter(target => !target.selector.attributes && !target.selector.not
+                    && !target.selector.has
+                    && startTagOnlyNames.indexOf('*') === -1
+                    && startTagOnlyNames.indexOf((target.selector.nodeName || '*').toLowerCase()) === -1)
+                .map(target => target.selector.nodeName && target.selector.nodeName !== '*'
+                    ? namePattern(target.selector.nodeName, localNamePattern, this._re.caseInsensitiveTags)
+                    : tagNamePattern);
+            const endTagAssertion = endTagNamePatterns.length
+                ? `(?!(?:${endTagNamePatterns.join('|')})${tagNameEndPattern})` : '';
+            // Complete raw text elements are stepped over as a whole,
+            // unless they are targets.
+            const targetAssertion = tagMatchPatterns.length
+                ? `(?!${tagMatchPatterns.map(pattern => '(?:' + pattern + ')').join('|')})` : '';
+            this._re.nonTargetStartTag = new RegExp(`[^<]*(?:<(?:\\/${endTagAssertion}${tagNamePattern}\\s*>|[\\/! ]*(?!${
+                tagMatchAssertions
+            })${tagNamePattern}${tagPatterns.remainingTag}|${commentMatchPattern}|${targetAssertion}(?:${
+                tagPatterns.rawTextElement
+            }))[^<]*)*`, 'g');
+        }
 
-        this._re.otherTag = new RegExp(`[^<]*(?:<(?:[\\/!\s]*(?!${nodeNameRe})[a-zA-Z][a-zA-Z0-9_-]*${remainingTagPattern}|${commentMatchPattern})[^<]*)+|`, 'g');
+        // Matchers for tags other than the one of an active match, by tag
+        // name. Compiled on demand by _getOtherTagMatcher.
+        this._re.otherTag = {};
 
         // A matcher for the tags we *are* actually interested in.
-        this._re.targetTag = new RegExp(`<(\\/?)(?:${tagMatchPatterns
+        this._re.targetTag = new RegExp(`<(\\/?)(?:${stopPatterns
         .map(pattern => '(' + pattern + ')')
-        .join('|')})${remainingTagAssertionPattern}`, 'g');
+        .join('|')})${tagPatterns.remainingTagAssertion}`, 'g');
 
-        this._re.anyTag = ANY_TAG;
+        this._re.anyTag = tagPatterns.anyTag;
     }
 
-    _quoteAttributeValue(s, mode) {
-        if (/[<'">&]/.test(s)) {
-            const map = attrValReplacements[mode];
-            // Escape any regexp chars in the value
-            s = escapeRegex(s);
-            return s.replace(/[<'">&]/g, m => map[m]);
-        } else {
-            return s;
+    /**
+     * Get a matcher efficiently skipping over all tags except for those with
+     * the given name.
+     *
+     * @param {string} nodeName
+     * @return {RegExp}
+     */
+    _getOtherTagMatcher(nodeName) {
+        let otherTag = this._re.otherTag[nodeName];
+        if (!otherTag) {
+            const tagPatterns = this._re.tagPatterns;
+            // Raw text elements are only stepped over when complete.
+            const nodeNamePattern = literalNamePattern(nodeName, this._re.caseInsensitiveTags);
+            otherTag = new RegExp(`[^<]*(?:<(?:[\\/!\\s]*(?!${nodeNamePattern}${tagNameEndPattern}|${
+                tagPatterns.rawTextName
+            })${tagNamePattern}${
+                tagPatterns.remainingTag
+            }|${commentMatchPattern}|${tagPatterns.rawTextElement})[^<]*)+|`, 'g');
+            this._re.otherTag[nodeName] = otherTag;
         }
+        return otherTag;
+    }
+
+    /**
+     * Build a pattern matching an attribute value in any of the encodings
+     * its characters can have in a quoted attribute.
+     *
+     * @param {string} s, the decoded value.
+     * @param {string} mode, the quoting of the attribute: "double",
+     *   "single" or "unquoted".
+     * @param {boolean} caseInsensitive, whether to match ASCII letters
+     *   case-insensitively.
+     * @return {string}
+     */
+    _quoteAttributeValue(s, mode, caseInsensitive) {
+        // Characters that can only appear encoded.
+        const encodedOnly = ENCODED_ONLY_CHARS[mode];
+        return Array.from(s).map(c => {
+            if (caseInsensitive && /[a-zA-Z]/.test(c)) {
+                return `(?:${htmlEntities.characterPattern(c.toLowerCase(), true)}|${
+                    htmlEntities.characterPattern(c.toUpperCase(), true)})`;
+            }
+            return htmlEntities.characterPattern(c, !encodedOnly.test(c));
+        }).join('');
     }
 
     _compileTagMatcher(selector) {
-        if (!selector.nodeName) {
-            throw new Error("Only matches for fixed tag names are supported for now!");
-        }
-        const attributes = selector.attributes;
-        let res = selector.nodeName || '';
-        if (attributes && attributes.length) {
-            if (attributes.length > 1) {
-                throw new Error("Only a single attribute match is supported for now!");
-            }
-            const attributeSelector = attributes[0];
-            // Only match on the first attribute
-            const attr = {
-                name: attributeSelector[0],
-                operator: attributeSelector[1],
-                value: attributeSelector[2]
-            };
+        // Match any tag name for universal selectors.
+        const nodeName = selector.nodeName && selector.nodeName !== '*'
+            ? namePattern(selector.nodeName, localNamePattern, this._re.caseInsensitiveTags)
+            : tagNamePattern;
+        let res = '';
+        if (selector.not) {
+            // None of the negated selectors may match. Each is compiled to a
+            // negative lookahead at the start of the tag name.
+            selector.not.forEach(negatedSelector => {
+                if (negatedSelector.nth) {
+                    throw new Error("Structural pseudo-classes are not supported in :not()");
+                }
+                if (negatedSelector.has) {
+                    throw new Error(":has() is not supported in :not()");
+                }
+                res += `(?!${this._compileTagMatcher(negatedSelector)})`;
+            });
+        }
+        res += nodeName + tagNameEndPattern;
+        if (selector.attributes) {
+            // All attribute predicates need to match. Each is compiled to a
+            // lookahead, so that they can match in any order.
+            selector.attributes.forEach(attributeSelector => {
+                res += this._compileAttributeMatcher(attributeSelector);
+            });
+        }
+        return res;
+    }
+
+    _compileAttributeMatcher(attributeSelector) {
+        const attr = Array.isArray(attributeSelector) ? {
+            name: attributeSelector[0],
+            operator: attributeSelector[1],
+            value: attributeSelector[2],
+            flag: attributeSelector[3],
+        } : attributeSelector;
+        // Values are matched case-sensitively, unless the `i` flag is set.
+        const caseInsensitive = attr.flag === 'i';
 
-            res += `(?=[^>]*?\\s${attr.name}`;
-            const doubleQuoteValuePattern = this._quoteAttributeValue(attr.value, 'double');
-            const singleQuoteValuePattern = this._quoteAttributeValue(attr.value, 'single');
-            if (!attr.operator) {
-                 res += '=(?:"[^"]*"|\'[^\']*\'))';
-            } else if (attr.operator === '=') {
-                res += `=(?:"${doubleQuoteValuePattern}"|'${singleQuoteValuePattern}'))`;
+        const res = `(?=[^>]*?\\s${namePattern(attr.name)}`;
+        const lenient = this._re.lenientAttributes;
+        if (!attr.operator) {
+            return lenient ? `${res}(?:\\s*=|[\\s/>]))` : `${res}=(?:"[^"]*"|'[^']*'))`;
+        }
+        const quotings = [
+            { mode: 'double', quote: '"', anyChar: '[^"]', end: '' },
+            { mode: 'single', quote: "'", anyChar: "[^']", end: '' },
+        ];
+        if (lenient) {
+            quotings.push({
+                mode: 'unquoted',
+                quote: '',
+                anyChar: UNQUOTED_VALUE_CHAR_PATTERN,
+                end: '(?=[\\s>])',
+            });
+        }
+        const valuePatterns = quotings.map(quoting => {
+            const value = this._quoteAttributeValue(attr.value, quoting.mode, caseInsensitive);
+            const anyChar = quoting.anyChar;
+            let pattern;
+            if (attr.operator === '=') {
+                pattern = value;
             } else if (attr.operator === '^=') {
-                res += `=(?:"${doubleQuoteValuePattern}[^"]*"|'${singleQuoteValuePattern}[^']*'))`;
+                pattern = `${value}${anyChar}*`;
             } else if (attr.operator === '$=') {
-                res += `=(?:"[^"]*${doubleQuoteValuePattern}"|'[^']*${singleQuoteValuePattern}'))`;
+                pattern = `${anyChar}*${value}`;
             } else if (attr.operator === '~=') {
-                res += `=(?:"(?:[^"]+\\s+)*${doubleQuoteValuePattern}(?:\\s+[^"]+)*"|'(?:[^']+\\s)*${singleQuoteValuePattern}(?:\\s[^']+)*'))`;
+                // A single separator on either side of the value, so that
+                // the list is only scanned one way on a mismatch. Unquoted
+                // values can't contain whitespace.
+                pattern = quoting.quote
+                    ? `(?:${anyChar}*\\s)?${value}(?:\\s${anyChar}*)?`
+                    : value;
             } else if (attr.operator === '*=') {
-                res += `=(?:"[^"]*${doubleQuoteValuePattern}[^"]*"|'[^']*${singleQuoteValuePattern}[^']*'))`;
+                pattern = `${anyChar}*${value}${anyChar}*`;
+            } else if (attr.operator === '|=') {
+                // Exactly the value, or the value followed by a hyphen.
+                pattern = `${value}(?:-${anyChar}*)?`;
             } else {
                 throw new Error(`Unsupported attribute predicate: ${attr.operator}`);
             }
-        }
-        return res;
+            return quoting.quote + pattern + quoting.quote + quoting.end;
+        });
+        return `${res}${lenient ? '\\s*=\\s*' : '='}(?:${valuePatterns.join('|')}))`;
     }
 }
 
 module.exports = {
     HTMLTransformReader: HTMLTransformReader,
 };
+// Loaded last, as these build on HTMLTransformReader.
+module.exports.HTMLTransformStream = require('./transformStream').HTMLTransformStream;
+module.exports.transformResponse = require('./transformResponse').transformResponse;
+module.exports.composeHTML = require('./compose').composeHTML;
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Adapters between HTMLTransformReader and node.js streams. Only available in
+ * node; see the `browser` field in package.json.
+ */
+
+const stream = require('stream');
+const HTMLTransformReader = require('./index').HTMLTransformReader;
+const transformStream = require('./transformStream');
+
+/**
+ * Set up a serialized output Reader for an HTMLTransformReader.
+ *
+ * @param {mixed} input
+ * @param {object} options
+ * @return {SerializeReader}
+ */
+function makeOutputReader(input, options) {
+    return new transformStream.SerializeReader(new HTMLTransformReader(input,
+        // Values are encoded after serialization.
+        Object.assign({}, options, { outputEncoding: undefined })), options);
+}
+
+/**
+ * A node.js Readable over a Reader of strings or byte chunks. Reads one chunk
+ * at a time, as the consumer asks for more.
+ */
+class ReaderReadable extends stream.Readable {
+    constructor(reader) {
+        super();
+        this._reader = reader;
+    }
+
+    _read() {
+        this._reader.read()
+        .then(res => this.push(res.done ? null : res.value),
+            e => this.destroy(e));
+    }
+
+    _destroy(err, callback) {
+        // Cancelling an input that already errored fails; the error was
+        // already passed on by _read().
+        Promise.resolve(this._reader.cancel(err)).catch(() => {});
+        callback(err);
+    }
+}
+
+/**
+ * A node.js Duplex stream transforming the HTML written to it. Writes complete
+ * once the transform has read the chunk, which only happens as the output is
+ * read. This propagates backpressure from the consumer to the producer.
+ */
+class HTMLNodeTransform extends stream.Duplex {
+    constructor(options) {
+        // Pass strings on as they are, so that they are not re-encoded.
+        super({ decodeStrings: false });
+        this._sink = new transformStream.SinkReader();
+        this._output = makeOutputReader(this._sink, options || {});
+    }
+
+    _write(chunk, encoding, callback) {
+        this._sink.write(chunk).then(() => callback(), callback);
+    }
+
+    _final(callback) {
+        this._sink.close();
+        callback();
+    }
+
+    _read() {
+        this._output.read()
+        .then(res => this.push(res.done ? null : res.value),
+            e => this.destroy(e));
+    }
+
+    _destroy(err, callback) {
+        // Fails pending writes and reads from streams returned by
+        // handlers. Errors from cancelling were already passed on by
+        // _read().
+        Promise.resolve(this._output.cancel(err)).catch(() => {});
+        callback(err);
+    }
+}
+
+/**
+ * Transform an HTML document, and return the serialized output as a node.js
+ * Readable.
+ *
+ * @param {mixed} input, anything HTMLTransformReader accepts, including
+ *   node.js Readables and other async iterables.
+ * @param {object} options, as for HTMLTransformStream.
+ * @return {stream.Readable}
+ */
+function createNodeReadable(input, options) {
+    return new ReaderReadable(makeOutputReader(input, options || {}));
+}
+
+/**
+ * Create a node.js transform stream, for use with `pipe()` or
+ * `stream.pipeline()`:
+ *
+ *   stream.pipeline(req, createNodeTransform({ transforms }), res, callback)
+ *
+ * @param {object} options, as for HTMLTransformStream.
+ * @return {stream.Duplex}
+ */
+function createNodeTransform(options) {
+    return new HTMLNodeTransform(options);
+}
+
+module.exports = {
+    createNodeReadable: createNodeReadable,
+    createNodeTransform: createNodeTransform,
+};
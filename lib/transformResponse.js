@@ -0,0 +1,119 @@
+'use strict';
+
+const charset = require('./charset');
+const HTMLTransformStream = require('./transformStream').HTMLTransformStream;
+
+const HTML_CONTENT_TYPE_RE = /^\s*(?:text\/html|application\/xhtml\+xml)\s*(?:;|$)/i;
+
+// Headers describing the original body, which no longer apply. Bodies of
+// fetch() responses are already decompressed.
+const STRIPPED_HEADERS = new Set([
+    'content-length', 'content-encoding', 'content-md5', 'digest',
+]);
+
+/**
+ * Wrap a byte stream, ending it with fallback content on errors.
+ *
+ * @param {ReadableStream} stream
+ * @param {function} onError, called with the error; returns fallback
+ *   content as a string, or nothing.
+ * @return {ReadableStream}
+ */
+function catchErrors(stream, onError) {
+    const reader = stream.getReader();
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        pull(controller) {
+            return reader.read()
+            .then(res => {
+                if (res.done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(res.value);
+                }
+            }, e => {
+                const fallback = onError(e);
+                if (fallback) {
+                    controller.enqueue(encoder.encode(fallback));
+                }
+                controller.close();
+            });
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+}
+
+/**
+ * Transform the body of an HTML fetch() Response, for example in a
+ * ServiceWorker:
+ *
+ *   self.addEventListener('fetch', event => event.respondWith(
+ *       fetch(event.request).then(res => transformResponse(res, options))));
+ *
+ * The new response streams the transformed body as UTF-8, and keeps the
+ * status and headers of the original one, except for headers describing the
+ * original body like `Content-Length` and `Content-Encoding`. Responses
+ * without a body, or with a content type other than `text/html` or
+ * `application/xhtml+xml`, are returned unchanged.
+ *
+ * @param {Response} response
+ * @param {object} options, as for HTMLTransformStream, and
+ *      - {function} onError (optional): Called with errors raised while
+ *      streaming the body, like handler exceptions. The content it returns
+ *      (if any) is appended to the output produced so far, which then ends
+ *      normally. Without it, the body stream errors, which aborts the
+ *      response.
+ *      - {function} Response (optional): The Response constructor, for
+ *      environments without a global one.
+ *      - {function} Headers (optional): The Headers constructor, for
+ *      environments without a global one.
+ *      The input encoding is taken from the `charset` parameter of the
+ *      content type. Without it, the encoding is sniffed from the document,
+ *      unless `sniffEncoding` is set to false.
+ * @return {Response}
+ */
+function transformResponse(response, options) {
+    options = options || {};
+    const ResponseConstructor = options.Response || Response;
+    const HeadersConstructor = options.Headers || Headers;
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.body || !HTML_CONTENT_TYPE_RE.test(contentType)) {
+        return response;
+    }
+
+    const hasCharset = charset.CHARSET_PARAM_RE.test(contentType);
+    const encoding = charset.getContentTypeEncoding(contentType);
+    const streamOptions = Object.assign({}, options, {
+        encoding: encoding || options.encoding,
+        sniffEncoding: !encoding && options.sniffEncoding !== false,
+        outputEncoding: 'utf-8',
+    });
+    delete streamOptions.onError;
+    delete streamOptions.Response;
+    delete streamOptions.Headers;
+
+    let body = response.body.pipeThrough(new HTMLTransformStream(streamOptions));
+    if (options.onError) {
+        body = catchErrors(body, options.onError);
+    }
+
+    // Copy the headers as a Headers object, which keeps repeated headers
+    // like Set-Cookie.
+    const headers = new HeadersConstructor(response.headers);
+    STRIPPED_HEADERS.forEach(name => headers.delete(name));
+    headers.set('content-type', hasCharset
+        ? contentType.replace(charset.CHARSET_PARAM_RE, '; charset=utf-8')
+        : `${contentType}; charset=utf-8`);
+
+    return new ResponseConstructor(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+module.exports = {
+    transformResponse: transformResponse,
+};
@@ -0,0 +1,271 @@
+'use strict';
+
+const streamUtil = require('web-stream-util');
+const charset = require('./charset');
+const HTMLTransformReader = require('./index').HTMLTransformReader;
+
+/**
+ * A Reader fed by the underlying sink of a WritableStream. Each write
+ * completes once its chunk has been read, which propagates backpressure from
+ * the reading side to the writer.
+ */
+class SinkReader {
+    constructor() {
+        // Written chunks that were not read yet, with the callbacks
+        // completing their writes.
+        this._queue = [];
+        // A read waiting for a write.
+        this._pendingRead = null;
+        this._closed = false;
+        this._error = null;
+    }
+
+    write(chunk) {
+        if (this._error) {
+            return Promise.reject(this._error);
+        }
+        return new Promise((resolve, reject) => {
+            this._queue.push({ chunk, resolve, reject });
+            this._settleRead();
+        });
+    }
+
+    close() {
+        this._closed = true;
+        this._settleRead();
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this._pendingRead = { resolve, reject };
+            this._settleRead();
+        });
+    }
+
+    /**
+     * Fail pending and future reads and writes. Used both for aborting the
+     * writable side and for cancelling the readable side.
+     *
+     * @param {mixed} reason
+     */
+    cancel(reason) {
+        this._error = reason || new Error("Stream cancelled");
+        this._queue.forEach(entry => entry.reject(this._error));
+        this._queue = [];
+        this._settleRead();
+    }
+
+    _settleRead() {
+        const read = this._pendingRead;
+        if (!read) {
+            return;
+        }
+        if (this._error) {
+            read.reject(this._error);
+        } else if (this._queue.length) {
+            const entry = this._queue.shift();
+            entry.resolve();
+            read.resolve({ value: entry.chunk, done: false });
+        } else if (this._closed) {
+            read.resolve({ value: undefined, done: true });
+        } else {
+            return;
+        }
+        this._pendingRead = null;
+    }
+}
+
+/**
+ * Replace nodes returned by handlers with their outerHTML, which is a string
+ * or a ReadableStream.
+ *
+ * @param {mixed} value, a handler return value.
+ * @return {mixed}
+ */
+function replaceNodes(value) {
+    if (Array.isArray(value)) {
+        return value.map(replaceNodes);
+    } else if (value && typeof value === 'object' && 'outerHTML' in value
+            && typeof value.read !== 'function' && typeof value.getReader !== 'function') {
+        return value.outerHTML;
+    }
+    return value;
+}
+
+/**
+ * A Reader serializing the output of an HTMLTransformReader to a flat
+ * sequence of non-empty strings or byte chunks:
+ *   - strings are output as they are,
+ *   - nodes (objects with an `outerHTML` member) as their `outerHTML`,
+ *   - arrays (like `node.innerContent`) as the concatenation of their items,
+ *   - ReadableStreams and Readers are spliced in as their chunks arrive, and
+ *   - `null` and `undefined` are skipped.
+ * Each read only reads as much input as needed for the next chunk.
+ */
+class SerializeReader {
+    /**
+     * @param {HTMLTransformReader} reader
+     * @param {object} options
+     *      - {string} outputEncoding (optional): "utf-8" to yield UTF-8
+     *      encoded `Uint8Array`s instead of strings.
+     */
+    constructor(reader, options) {
+        if (options.outputEncoding
+                && charset.getEncoding(options.outputEncoding) !== 'utf-8') {
+            throw new Error(`Unsupported output encoding: ${options.outputEncoding}`);
+        }
+        // Readers of streams returned by handlers, which cancel() cancels
+        // itself: FlatStreamReader drops the result of cancelling them,
+        // which rejects for errored streams.
+        this._subReaders = new Set();
+        this._reader = new streamUtil.FlatStreamReader({
+            read: () => reader.read().then(res => {
+                if (!res.done) {
+                    res.value = this._trackReaders(replaceNodes(res.value));
+                }
+                return res;
+            }),
+            cancel: reason => reader.cancel(reason),
+        });
+        this._encoder = options.outputEncoding ? new TextEncoder() : null;
+        // Decodes byte chunks from streams returned by handlers.
+        this._decoder = null;
+    }
+
+    read() {
+        return this._reader.read()
+        .then(res => {
+            if (res.done) {
+                const rest = this._decoder && this._decoder.decode();
+                this._decoder = null;
+                if (rest) {
+                    return { value: this._encoder ? this._encoder.encode(rest) : rest, done: false };
+                }
+                return res;
+            }
+            const chunk = this._serializeChunk(res.value);
+            if (!chunk || !chunk.length) {
+                return this.read();
+            }
+            return { value: chunk, done: false };
+        });
+    }
+
+    cancel(reason) {
+        const cancelled = Array.from(this._subReaders).map(subReader =>
+            Promise.resolve(subReader.cancel(reason)).catch(() => {}));
+        this._subReaders.clear();
+        cancelled.push(this._reader.cancel(reason));
+        return Promise.all(cancelled);
+    }
+
+    /**
+     * Replace streams and Readers in an output value with Readers tracked
+     * in `_subReaders` until they are done.
+     *
+     * @param {mixed} value
+     * @return {mixed}
+     */
+    _trackReaders(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this._trackReaders(item));
+        } else if (!value || typeof value !== 'object'
+                || typeof value.read !== 'function' && typeof value.getReader !== 'function') {
+            return value;
+        }
+        const subReader = typeof value.read === 'function' ? value : value.getReader();
+        this._subReaders.add(subReader);
+        return {
+            read: () => subReader.read().then(res => {
+                if (res.done) {
+                    this._subReaders.delete(subReader);
+                }
+                return res;
+            }),
+            // Cancelled by cancel() above.
+            cancel: () => {},
+        };
+    }
+
+    /**
+     * Convert a flattened output value to an output chunk.
+     *
+     * @param {mixed} value
+     * @return {string|Uint8Array|null}
+     */
+    _serializeChunk(value) {
+        if (value === null || value === undefined) {
+            return null;
+        } else if (typeof value === 'string') {
+            return this._encoder ? this._encoder.encode(value) : value;
+        } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            // Bytes from a stream returned by a handler, assumed to be
+            // UTF-8.
+            const bytes = value instanceof ArrayBuffer ? new Uint8Array(value)
+                : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            if (this._encoder) {
+                return bytes;
+            }
+            if (!this._decoder) {
+                this._decoder = new TextDecoder();
+            }
+            return this._decoder.decode(bytes, { stream: true });
+        }
+        throw new Error(`Unsupported handler return value: ${value}`);
+    }
+}
+
+/**
+ * A transform stream matching & transforming an HTML document, for use with
+ * `ReadableStream.pipeThrough()`:
+ *
+ *   response.body.pipeThrough(new HTMLTransformStream({ transforms }))
+ *
+ * The `writable` side accepts strings or byte chunks, as HTMLTransformReader
+ * does. Handler return values are serialized to a flat stream of strings on
+ * the `readable` side, as described for SerializeReader. Each read from
+ * `readable` pulls a single chunk, so that a slow consumer slows down writes.
+ */
+class HTMLTransformStream {
+    /**
+     * @param {object} options, as for HTMLTransformReader. With
+     *   `outputEncoding: 'utf-8'`, `readable` yields UTF-8 encoded
+     *   `Uint8Array`s instead of strings.
+     */
+    constructor(options) {
+        options = options || {};
+        this._sink = new SinkReader();
+        this._output = new SerializeReader(new HTMLTransformReader(this._sink,
+            // Values are encoded after serialization.
+            Object.assign({}, options, { outputEncoding: undefined })), options);
+
+        this.writable = new WritableStream({
+            write: chunk => this._sink.write(chunk),
+            close: () => this._sink.close(),
+            abort: reason => this._sink.cancel(reason),
+        });
+        this.readable = new ReadableStream({
+            pull: controller => this._output.read()
+            .then(res => {
+                if (res.done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(res.value);
+                }
+            })
+            .catch(e => {
+                // Fail pending writes as well.
+                this._sink.cancel(e);
+                throw e;
+            }),
+            cancel: reason => this._output.cancel(reason),
+        });
+    }
+}
+
+module.exports = {
+    HTMLTransformStream: HTMLTransformStream,
+    SerializeReader: SerializeReader,
+    SinkReader: SinkReader,
+    replaceNodes: replaceNodes,
+};
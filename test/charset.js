@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('assert');
+const charset = require('../lib/charset');
+const streamUtil = require('web-stream-util');
+
+function bytes(s, encoding) {
+    return new Uint8Array(Buffer.from(s, encoding || 'utf8'));
+}
+
+function decodeAll(chunks, options) {
+    return streamUtil.readToArray(new charset.DecodeReader(streamUtil.toReader(chunks), options))
+    .then(values => values.join(''));
+}
+
+module.exports = {
+    'getEncoding': function() {
+        assert.equal(charset.getEncoding('UTF8'), 'utf-8');
+        assert.equal(charset.getEncoding('latin1'), 'windows-1252');
+        assert.equal(charset.getEncoding('foo'), null);
+    },
+    'getContentTypeEncoding': function() {
+        assert.equal(charset.getContentTypeEncoding('text/html; charset=ISO-8859-1'), 'windows-1252');
+        assert.equal(charset.getContentTypeEncoding('text/html;charset="utf8"'), 'utf-8');
+        assert.equal(charset.getContentTypeEncoding('text/html'), null);
+        assert.equal(charset.getContentTypeEncoding('text/html; charset=foo'), null);
+        assert.equal(charset.getContentTypeEncoding(null), null);
+    },
+    'sniffEncoding': function() {
+        assert.equal(charset.sniffEncoding(bytes('<meta charset="iso-8859-1">')), 'windows-1252');
+        assert.equal(charset.sniffEncoding(bytes('<META CHARSET=utf8>')), 'utf-8');
+        assert.equal(charset.sniffEncoding(
+            bytes('<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS">')),
+            'shift_jis');
+        assert.equal(charset.sniffEncoding(bytes('﻿<meta charset="latin1">')), 'utf-8');
+        assert.equal(charset.sniffEncoding(bytes('<meta charset="utf-16">')), 'utf-8');
+        assert.equal(charset.sniffEncoding(bytes('<!-- <meta charset="latin1"> --><p>')), null);
+        assert.equal(charset.sniffEncoding(bytes('<meta charset="foo">')), null);
+        assert.equal(charset.sniffEncoding(bytes('<p data-charset="latin1">')), null);
+    },
+    'DecodeReader': {
+        "split characters": function() {
+            const input = bytes('<p>é–😀</p>');
+            const chunks = [];
+            for (let i = 0; i < input.length; i++) {
+                chunks.push(input.subarray(i, i + 1));
+            }
+            return decodeAll(chunks, {})
+            .then(s => assert.equal(s, '<p>é–😀</p>'));
+        },
+        "strings and array buffers": function() {
+            const input = bytes('café', 'latin1');
+            return decodeAll(['<p>', input.buffer, '</p>'], { encoding: 'iso-8859-1' })
+            .then(s => assert.equal(s, '<p>café</p>'));
+        },
+        "incomplete character at the end": function() {
+            return decodeAll([bytes('a'), new Uint8Array([0xC3])], {})
+            .then(s => assert.equal(s, 'a�'));
+        },
+        "sniffing": function() {
+            const input = bytes('<meta charset="windows-1252"><p>café</p>', 'latin1');
+            return decodeAll([input.subarray(0, 10), input.subarray(10)], { sniffEncoding: true })
+            .then(s => assert.equal(s, '<meta charset="windows-1252"><p>café</p>'));
+        },
+        "sniffing fallback": function() {
+            const input = bytes('<p>café</p>' + ' '.repeat(1100), 'latin1');
+            return decodeAll([input.subarray(0, 600), input.subarray(600)],
+                { sniffEncoding: true, encoding: 'latin1' })
+            .then(s => assert.equal(s.trim(), '<p>café</p>'));
+        },
+        "strings without TextDecoder": function() {
+            const TextDecoder = global.TextDecoder;
+            delete global.TextDecoder;
+            return decodeAll(['<p>', 'a</p>'], {})
+            .then(s => {
+                global.TextDecoder = TextDecoder;
+                assert.equal(s, '<p>a</p>');
+            }, e => {
+                global.TextDecoder = TextDecoder;
+                throw e;
+            });
+        },
+        "unsupported encoding": function() {
+            assert.throws(() => new charset.DecodeReader(streamUtil.toReader([]), { encoding: 'foo' }),
+                /Unsupported encoding: foo/);
+        },
+    },
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+const assert = require('assert');
+const streamUtil = require('web-stream-util');
+
+const composeHTML = require('../index').composeHTML;
+
+// A minimal fetch() Response stand-in.
+function mockResponse(body, status, contentType) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => name === 'content-type' ? contentType : null },
+        body,
+    };
+}
+
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+/**
+ * Resolve includes from a map of URLs to fragments, recording the calls.
+ */
+function mockResolver(fragments) {
+    const resolve = (url, info) => {
+        resolve.calls.push({ url, parent: info.parent, depth: info.depth });
+        const fragment = fragments[url];
+        return typeof fragment === 'function' ? fragment() : fragment;
+    };
+    resolve.calls = [];
+    return resolve;
+}
+
+function compose(input, options) {
+    return streamUtil.readToArray(composeHTML(input, options))
+    .then(chunks => chunks.join(''));
+}
+
+module.exports = {
+    'composeHTML': {
+        "includes": function() {
+            const resolve = mockResolver({
+                '/a': '<p>a</p>',
+                '/b': streamUtil.toStream(['<p>', 'b</p>']),
+            });
+            return compose('<div><esi:include src="/a"/><mw-include href="/b"></mw-include></div>', {
+                resolve
+            })
+            .then(res => {
+                assert.equal(res, '<div><p>a</p><p>b</p></div>');
+                assert.deepEqual(resolve.calls, [
+                    { url: '/a', parent: undefined, depth: 1 },
+                    { url: '/b', parent: undefined, depth: 1 },
+                ]);
+            });
+        },
+        "recursive includes": function() {
+            const resolve = mockResolver({
+                '/a': 'a<mw-include href="/b"></mw-include>',
+                '/b': 'b<mw-include href="/c"></mw-include>',
+                '/c': 'c',
+            });
+            return compose('<mw-include href="/a"></mw-include>', { resolve })
+            .then(res => {
+                assert.equal(res, 'abc');
+                assert.deepEqual(resolve.calls.map(call => call.parent), [undefined, '/a', '/b']);
+            });
+        },
+        "depth limit": function() {
+            const errors = [];
+            return compose('<mw-include href="/a"></mw-include>', {
+                resolve: mockResolver({
+                    '/a': 'a<mw-include href="/b">b?</mw-include>',
+                    '/b': 'b',
+                }),
+                maxDepth: 1,
+                fallback: (node, e) => {
+                    errors.push(e.message);
+                    return node.innerHTML;
+                }
+            })
+            .then(res => {
+                assert.equal(res, 'ab?');
+                assert.deepEqual(errors, ['Include depth limit of 1 exceeded: /b']);
+            });
+        },
+        "cycles": function() {
+            const errors = [];
+            return compose('<mw-include href="/a"></mw-include>', {
+                resolve: mockResolver({
+                    '/a': 'a<mw-include href="/b"></mw-include>',
+                    '/b': 'b<mw-include href="/a">cycle</mw-include>',
+                }),
+                fallback: (node, e) => {
+                    errors.push(e.message);
+                    return node.innerHTML;
+                }
+            })
+            .then(res => {
+                assert.equal(res, 'abcycle');
+                assert.deepEqual(errors, ['Include cycle: /a -> /b -> /a']);
+            });
+        },
+        "timeouts": function() {
+            return compose('<mw-include href="/slow">slow</mw-include><mw-include href="/a"></mw-include>', {
+                resolve: mockResolver({
+                    '/slow': () => delay(200, 'never'),
+                    '/a': () => delay(5, 'a'),
+                }),
+                timeout: 50
+            })
+            .then(res => assert.equal(res, 'slowa'));
+        },
+        "fragment body errors": function() {
+            const errors = [];
+            return compose('a<mw-include href="/a">fallback</mw-include>b', {
+                resolve: () => new ReadableStream({
+                    start(controller) { controller.enqueue('part'); },
+                    pull(controller) { controller.error(new Error('body failed')); }
+                }),
+                fallback: (node, e) => {
+                    errors.push(e.message);
+                    return node.innerHTML;
+                }
+            })
+            .then(res => {
+                assert.equal(res, 'apartfallbackb');
+                assert.deepEqual(errors, ['body failed']);
+            });
+        },
+        "stalled fragment bodies": function() {
+            let cancelled = false;
+            return compose('a<mw-include href="/a">slow</mw-include>b', {
+                resolve: () => new ReadableStream({
+                    start(controller) { controller.enqueue('part'); },
+                    cancel() { cancelled = true; }
+                }),
+                timeout: 30
+            })
+            .then(res => {
+                assert.equal(res, 'apartslowb');
+                assert.ok(cancelled);
+            });
+        },
+        "timed out responses are cancelled": function() {
+            let cancelled = false;
+            const body = new ReadableStream({
+                cancel() { cancelled = true; }
+            });
+            return compose('<mw-include href="/a">slow</mw-include>', {
+                resolve: () => delay(50, mockResponse(body, 200, 'text/html')),
+                timeout: 10
+            })
+            .then(res => {
+                assert.equal(res, 'slow');
+                return delay(60);
+            })
+            .then(() => assert.ok(cancelled));
+        },
+        "responses": function() {
+            const latin1 = streamUtil.toStream([Buffer.from('<p>é</p>', 'latin1')]);
+            return compose('<mw-include href="/a"></mw-include><mw-include href="/b">missing</mw-include>', {
+                resolve: mockResolver({
+                    '/a': mockResponse(latin1, 200, 'text/html; charset=iso-8859-1'),
+                    '/b': mockResponse(streamUtil.toStream(['Not found']), 404, 'text/html'),
+                })
+            })
+            .then(res => assert.equal(res, '<p>é</p>missing'));
+        },
+        "resolver errors": function() {
+            return compose('<mw-include href="/a"></mw-include>', {
+                resolve: () => { throw new Error('resolver failed'); },
+                fallback: (node, e) => `<!-- ${e.message} -->`
+            })
+            .then(res => assert.equal(res, '<!-- resolver failed -->'));
+        },
+        "parallel prefetch": function() {
+            function run(input, count, concurrency) {
+                let pending = 0;
+                let maxPending = 0;
+                return compose(input, {
+                    resolve: () => {
+                        pending++;
+                        maxPending = Math.max(pending, maxPending);
+                        return delay(10).then(() => {
+                            pending--;
+                            return 'x';
+                        });
+                    },
+                    concurrency
+                })
+                .then(res => {
+                    assert.equal(res, 'x'.repeat(count));
+                    assert.equal(maxPending, concurrency);
+                });
+            }
+            const chunks = [];
+            for (let i = 0; i < 12; i++) {
+                chunks.push(`<mw-include href="/${i}"></mw-include>`);
+            }
+            return run(chunks.slice(0, 6), 6, 3)
+            // Includes in a single chunk are limited as well.
+            .then(() => run(chunks.join(''), 12, 2));
+        },
+        "transforms and encoded output": function() {
+            return streamUtil.readToArray(composeHTML('<mw-include href="/a"></mw-include><p>é</p>', {
+                resolve: mockResolver({ '/a': '<p>a</p>' }),
+                transforms: [
+                    { selector: 'p', handler: (node, ctx) => `<b>${ctx.prefix}${node.innerHTML}</b>` },
+                ],
+                ctx: { prefix: '-' },
+                outputEncoding: 'utf-8'
+            }))
+            .then(chunks => {
+                chunks.forEach(chunk => assert.ok(chunk instanceof Uint8Array));
+                assert.equal(Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString(),
+                    '<b>-a</b><b>-é</b>');
+            });
+        },
+        "requires a resolver": function() {
+            assert.throws(() => composeHTML('', {}), /No resolve function/);
+        },
+    },
+};
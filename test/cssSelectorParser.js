@@ -2,6 +2,7 @@
 
 const assert = require('assert');
 const parseCSSSelector = require('../lib/cssSelectorParser');
+const parseCSSSelectorList = parseCSSSelector.parseCSSSelectorList;
 
 const testData = [
     {
@@ -45,13 +46,282 @@ const testData = [
             nodeName: 'a',
             attributes: [['href', '~=', '\n\r\t\f\\\"']]
         }
+    }, {
+        input: 'a[rel="mw:WikiLink"][href^="./File:"]',
+        output: {
+            nodeName: 'a',
+            attributes: [
+                ['rel', '=', 'mw:WikiLink'],
+                ['href', '^=', './File:']
+            ]
+        }
+    }, {
+        input: ' a[rel][ title ~= "a]b" ][href$=""] ',
+        output: {
+            nodeName: 'a',
+            attributes: [
+                ['rel'],
+                ['title', '~=', 'a]b'],
+                ['href', '$=', '']
+            ]
+        }
+    }, {
+        input: 'span.mw-ref',
+        output: {
+            nodeName: 'span',
+            attributes: [['class', '~=', 'mw-ref']]
+        }
+    }, {
+        input: 'div.a.b#c[data-mw]',
+        output: {
+            nodeName: 'div',
+            attributes: [
+                ['class', '~=', 'a'],
+                ['class', '~=', 'b'],
+                ['id', '=', 'c'],
+                ['data-mw']
+            ]
+        }
+    }, {
+        input: '.foo\\:bar#mw-1',
+        output: {
+            attributes: [
+                ['class', '~=', 'foo:bar'],
+                ['id', '=', 'mw-1']
+            ]
+        }
+    }, {
+        input: '*',
+        output: {}
+    }, {
+        input: '*[data-mw]',
+        output: {
+            attributes: [['data-mw']]
+        }
+    }, {
+        input: '[typeof="mw:Transclusion"]',
+        output: {
+            attributes: [['typeof', '=', 'mw:Transclusion']]
+        }
+    }, {
+        input: 'section > h2',
+        output: {
+            nodeName: 'h2',
+            ancestors: [{ nodeName: 'section', combinator: '>' }]
+        }
+    }, {
+        input: ' table.infobox  a>b[href] ',
+        output: {
+            nodeName: 'b',
+            attributes: [['href']],
+            ancestors: [{
+                nodeName: 'a',
+                combinator: '>'
+            }, {
+                nodeName: 'table',
+                attributes: [['class', '~=', 'infobox']],
+                combinator: ' '
+            }]
+        }
+    }, {
+        input: 'p[lang|="en"]',
+        output: {
+            nodeName: 'p',
+            attributes: [['lang', '|=', 'en']]
+        }
+    }, {
+        input: "a[title='a\\'b\"'][href^=mw-File i][rel = 'x' S ]",
+        output: {
+            nodeName: 'a',
+            attributes: [
+                ['title', '=', 'a\'b"'],
+                ['href', '^=', 'mw-File', 'i'],
+                ['rel', '=', 'x', 's']
+            ]
+        }
+    }, {
+        input: 'a:not([rel="mw:ExtLink"])',
+        output: {
+            nodeName: 'a',
+            not: [{ attributes: [['rel', '=', 'mw:ExtLink']] }]
+        }
+    }, {
+        input: ':not( figure , .mw-default-size ):not(#a)[href]',
+        output: {
+            attributes: [['href']],
+            not: [
+                { nodeName: 'figure' },
+                { attributes: [['class', '~=', 'mw-default-size']] },
+                { attributes: [['id', '=', 'a']] }
+            ]
+        }
+    }, {
+        input: 'li:first-child:first-of-type',
+        output: {
+            nodeName: 'li',
+            nth: [
+                { ofType: false, a: 0, b: 1 },
+                { ofType: true, a: 0, b: 1 }
+            ]
+        }
+    }, {
+        input: 'tr:nth-child( 2n + 1 ):nth-child(even):nth-of-type(-n+3)',
+        output: {
+            nodeName: 'tr',
+            nth: [
+                { ofType: false, a: 2, b: 1 },
+                { ofType: false, a: 2, b: 0 },
+                { ofType: true, a: -1, b: 3 }
+            ]
+        }
+    }, {
+        input: ':nth-of-type(3) > :nth-child(n- 2)',
+        output: {
+            nth: [{ ofType: false, a: 1, b: -2 }],
+            ancestors: [{
+                nth: [{ ofType: true, a: 0, b: 3 }],
+                combinator: '>'
+            }]
+        }
+    }, {
+        input: 'figure:has(video, > img.thumb)',
+        output: {
+            nodeName: 'figure',
+            has: [{
+                nodeName: 'video',
+                ancestors: [{ scope: true, combinator: ' ' }]
+            }, {
+                nodeName: 'img',
+                attributes: [['class', '~=', 'thumb']],
+                ancestors: [{ scope: true, combinator: '>' }]
+            }]
+        }
+    }, {
+        input: 'li:has( > b a )',
+        output: {
+            nodeName: 'li',
+            has: [{
+                nodeName: 'a',
+                ancestors: [
+                    { nodeName: 'b', combinator: ' ' },
+                    { scope: true, combinator: '>' }
+                ]
+            }]
+        }
+    }, {
+        input: 'svg|a[xlink|href^="./"]',
+        output: {
+            nodeName: 'svg:a',
+            attributes: [['xlink:href', '^=', './']]
+        }
+    }, {
+        input: '*|mi[*|lang] > |b',
+        output: {
+            nodeName: 'b',
+            ancestors: [{
+                nodeName: '*:mi',
+                attributes: [['*:lang']],
+                combinator: '>'
+            }]
+        }
+    }, {
+        input: '*|*[lang|=en]',
+        output: {
+            attributes: [['lang', '|=', 'en']]
+        }
+    }
+];
+
+const listTestData = [
+    {
+        input: 'h2, h3,h4',
+        output: [
+            { nodeName: 'h2' },
+            { nodeName: 'h3' },
+            { nodeName: 'h4' }
+        ]
+    }, {
+        input: ' a[title="a, b"] , ol > li ',
+        output: [{
+            nodeName: 'a',
+            attributes: [['title', '=', 'a, b']]
+        }, {
+            nodeName: 'li',
+            ancestors: [{ nodeName: 'ol', combinator: '>' }]
+        }]
+    }, {
+        input: 'a',
+        output: [{ nodeName: 'a' }]
+    }, {
+        input: 'svg|*, *|*',
+        output: [{ nodeName: 'svg:*' }, {}]
     }
 ];
 
+const invalidSelectors = [
+    '',
+    ' ',
+    '**',
+    'a..b',
+    'a#',
+    'a[href]b',
+    'a >',
+    '> a',
+    'a > > b',
+    'a, b',
+    'a[x=a b]',
+    'a[x="a" j]',
+    'a[x=]',
+    'a[href=./File]',
+    'a:not()',
+    'a:not(b',
+    'a:not(b c)',
+    'a:not',
+    'a:foo',
+    'li:first-child()',
+    'li:nth-child',
+    'li:nth-child()',
+    'li:nth-child(2 n)',
+    'li:nth-child(n+)',
+    'li:last-child',
+    'a:has()',
+    'a:has(>)',
+    'a:has(b,)',
+    'a:has(b',
+    'svg|',
+    '|*',
+    'a[svg|]',
+];
+
+const invalidSelectorLists = [
+    '',
+    'a,',
+    ',a',
+    'a,,b',
+    'a, > b',
+];
+
 module.exports = {
     'cssSelectorParser': function() {
         return testData.forEach(pair =>
            assert.deepEqual(parseCSSSelector(pair.input), pair.output)
         );
+    },
+    'invalid selectors': function() {
+        return invalidSelectors.forEach(selector =>
+            assert.throws(() => parseCSSSelector(selector),
+                /Unsupported .*CSS selector/)
+        );
+    },
+    'selector lists': function() {
+        return listTestData.forEach(pair =>
+           assert.deepEqual(parseCSSSelectorList(pair.input), pair.output)
+        );
+    },
+    'invalid selector lists': function() {
+        return invalidSelectorLists.forEach(selector =>
+            assert.throws(() => parseCSSSelectorList(selector),
+                /Unsupported .*CSS selector/)
+        );
     }
 };
@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const ElementNode = require('../lib/elementNode').ElementNode;
+
+/**
+ * Create a node like HTMLTransformReader does, from its start tag, content
+ * and end tag.
+ */
+function node(nodeName, attributes, startTag, innerHTML, endTag) {
+    const res = new ElementNode(nodeName, attributes, startTag);
+    res._append((innerHTML || '') + (endTag || ''), innerHTML || '');
+    return res;
+}
+
+module.exports = {
+    'ElementNode': {
+        "unmodified markup": function() {
+            const n = node('a', { href: 'x' }, "<a href='x'>", 't', '</a>');
+            assert.equal(n.outerHTML, "<a href='x'>t</a>");
+            assert.equal(n.getAttribute('href'), 'x');
+            assert.equal(n.getAttribute('title'), null);
+            assert.ok(n.hasAttribute('href'));
+            assert.strictEqual(n._toValue(), n);
+        },
+        "attributes": function() {
+            const n = node('a', { href: 'x', title: 't' }, "<a href='x' title=t>", 't', '</a>');
+            n.setAttribute('href', 'a"b&c');
+            n.setAttribute('data-n', 1);
+            n.removeAttribute('title');
+            assert.equal(n.outerHTML, '<a href="a&quot;b&amp;c" data-n="1">t</a>');
+            assert.equal(n.innerHTML, 't');
+            assert.deepEqual(n.attributes, { href: 'a"b&c', 'data-n': '1' });
+        },
+        "self-closing and void elements": function() {
+            const img = node('img', { src: 'x' }, '<img src="x" />');
+            img.setAttribute('alt', '');
+            assert.equal(img.outerHTML, '<img src="x" alt="" />');
+            assert.throws(() => node('br', {}, '<br>').setInnerHTML('x'),
+                /Void elements can't have content/);
+            assert.throws(() => node('br', {}, '<br/>').setInnerHTML('x'),
+                /Void elements can't have content/);
+            assert.throws(() => node('img', { src: 'x' }, '<img src="x" />').setInnerHTML('x'),
+                /Void elements can't have content/);
+
+            const include = node('esi:include', { src: 'x' }, '<esi:include src="x"/>');
+            include.setInnerHTML('fallback');
+            assert.equal(include.outerHTML, '<esi:include src="x">fallback</esi:include>');
+        },
+        "classList": function() {
+            const n = node('p', { class: ' a  b ' }, '<p class=" a  b ">', 'x', '</p>');
+            assert.ok(n.classList.contains('a'));
+            assert.ok(!n.classList.contains('c'));
+            n.classList.add('c', 'a');
+            n.classList.remove('b');
+            assert.equal(n.classList.toggle('d'), true);
+            assert.equal(n.classList.toggle('a'), false);
+            assert.equal(n.classList.toggle('c', true), true);
+            assert.equal(n.classList.value, 'c d');
+            assert.equal(n.outerHTML, '<p class="c d">x</p>');
+        },
+        "setInnerHTML": function() {
+            const n = node('DIV', { id: 'x' }, '<DIV id=x>', '<p>a</p>', '</DIV >');
+            n.setInnerHTML('<b>b</b>');
+            assert.equal(n.innerHTML, '<b>b</b>');
+            assert.equal(n.outerHTML, '<DIV id=x><b>b</b></DIV >');
+            n.setAttribute('id', 'y');
+            assert.equal(n.outerHTML, '<DIV id="y"><b>b</b></DIV >');
+        },
+        "placement": function() {
+            const n = node('p', {}, '<p>', 'x', '</p>');
+            n.before('<a>', '<b>');
+            n.after('<d>');
+            n.after('<c>');
+            assert.deepEqual(n._toValue(), ['<a>', '<b>', n, '<c>', '<d>']);
+            n.replaceWith('<q>');
+            assert.deepEqual(n._toValue(), ['<a>', '<b>', '<q>', '<c>', '<d>']);
+            n.remove();
+            assert.deepEqual(n._toValue(), ['<a>', '<b>', '<c>', '<d>']);
+        },
+        "replaced markup": function() {
+            const n = node('p', { id: 'x' }, '<p id="x">', 'a', '</p>');
+            n.setAttribute('id', 'y');
+            n.classList.add('c');
+            n.setInnerHTML('b');
+            n.outerHTML = '<div>c</div>';
+            assert.equal(n.outerHTML, '<div>c</div>');
+            assert.throws(() => n.setAttribute('id', 'z'), /replaced outerHTML/);
+            assert.throws(() => n.setInnerHTML('d'), /replaced outerHTML/);
+            assert.equal(n.outerHTML, '<div>c</div>');
+            n.after('e');
+            assert.deepEqual(n._toValue(), [n, 'e']);
+        },
+        "streamed nodes": function() {
+            const n = new ElementNode('p', {}, '<p>');
+            n.outerHTML = new ReadableStream({});
+            assert.throws(() => n.setAttribute('a', 'b'), /Streamed nodes/);
+            n.remove();
+            assert.deepEqual(n._toValue(), []);
+        },
+        "start tags only": function() {
+            const n = new ElementNode('div', { id: 'x' }, '<div id="x">');
+            n.innerHTML = null;
+            n.setAttribute('id', 'y');
+            assert.equal(n.outerHTML, '<div id="y">');
+            assert.throws(() => n.setInnerHTML('x'), /can't be replaced/);
+        },
+        "toJSON": function() {
+            const n = node('p', { a: '1' }, '<p a="1">', 'x', '</p>');
+            assert.deepEqual(JSON.parse(JSON.stringify(n)), {
+                nodeName: 'p',
+                attributes: { a: '1' },
+                outerHTML: '<p a="1">x</p>',
+                innerHTML: 'x',
+            });
+        },
+    },
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const htmlEntities = require('../lib/htmlEntities');
+
+const decodeTestData = [
+    ['a &amp; b', 'a & b'],
+    ['&lt;&gt;&quot;&#39;&apos;', '<>"\'\''],
+    ['&nbsp;&eacute;&ndash;&NotEqualTilde;', ' é–≂̸'],
+    ['&#8211;&#x2013;&#X2013;&#x1F600;', '–––😀'],
+    ['&#0;&#xD800;&#x110000;', '���'],
+    ['&#x80;&#150;', '€–'],
+    ['&unknown; &amp &#; &#x;', '&unknown; &amp &#; &#x;'],
+];
+
+module.exports = {
+    'decodeEntities': function() {
+        decodeTestData.forEach(test => {
+            assert.equal(htmlEntities.decodeEntities(test[0]), test[1], test[0]);
+        });
+    },
+    'escapeAttributeValue': function() {
+        assert.equal(htmlEntities.escapeAttributeValue('a "b" & <c>\u00a0\'d\''),
+            'a &quot;b&quot; &amp; &lt;c&gt;&nbsp;\'d\'');
+        const value = 'x="1" & y<2';
+        assert.equal(htmlEntities.decodeEntities(htmlEntities.escapeAttributeValue(value)), value);
+    },
+    'characterPattern': function() {
+        const re = new RegExp(`^${htmlEntities.characterPattern('–', true)}$`);
+        ['–', '&ndash;', '&#8211;', '&#08211;', '&#x2013;', '&#X2013;']
+            .forEach(s => assert.ok(re.test(s), s));
+        ['-', '&mdash;', '&#8212;', '&ndash'].forEach(s => assert.ok(!re.test(s), s));
+
+        const quoteRe = new RegExp(`^${htmlEntities.characterPattern('"', false)}$`);
+        assert.ok(quoteRe.test('&quot;'));
+        assert.ok(quoteRe.test('&QUOT;'));
+        assert.ok(!quoteRe.test('"'));
+    },
+};
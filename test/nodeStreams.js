@@ -0,0 +1,206 @@
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const streamUtil = require('web-stream-util');
+
+const index = require('../index');
+
+const transforms = [
+    { selector: 'p', handler: node => `<b>${node.innerHTML}</b>` },
+];
+
+function readAll(readable) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        readable.on('data', chunk => chunks.push(chunk));
+        readable.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        readable.on('error', reject);
+    });
+}
+
+function pipeline(source, transform) {
+    const chunks = [];
+    const sink = new stream.Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    return new Promise((resolve, reject) => {
+        stream.pipeline(source, transform, sink, err => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(Buffer.concat(chunks).toString());
+            }
+        });
+    });
+}
+
+function expectError(promise, message) {
+    return promise.then(() => { throw new Error('Expected an error'); },
+        e => assert.equal(e.message, message));
+}
+
+module.exports = {
+    'node.js input': {
+        "Readable": function() {
+            const input = Buffer.from('<div><p>é</p></div>');
+            const reader = new index.HTMLTransformReader(
+                stream.Readable.from([input.slice(0, 9), input.slice(9)]), { transforms });
+            return streamUtil.readToArray(reader)
+            .then(res => assert.equal([].concat.apply([], res).join(''), '<div><b>é</b></div>'));
+        },
+        "async iterable": function() {
+            const chunks = ['<p>a</p>', '<p>b</p>'];
+            const input = {
+                [Symbol.asyncIterator]() {
+                    return {
+                        next: () => Promise.resolve(chunks.length
+                            ? { value: chunks.shift(), done: false }
+                            : { value: undefined, done: true })
+                    };
+                }
+            };
+            return streamUtil.readToArray(new index.HTMLTransformReader(input, { transforms }))
+            .then(res => assert.equal([].concat.apply([], res).join(''), '<b>a</b><b>b</b>'));
+        },
+        "cancel returns the iterator": function() {
+            let returned = false;
+            const input = {
+                [Symbol.asyncIterator]() {
+                    return {
+                        next: () => Promise.resolve({ value: '<p>a</p>', done: false }),
+                        return: () => {
+                            returned = true;
+                            return Promise.resolve({ done: true });
+                        }
+                    };
+                }
+            };
+            const reader = new index.HTMLTransformReader(input, { transforms });
+            return reader.read()
+            .then(() => reader.cancel())
+            .then(() => assert.ok(returned));
+        },
+    },
+    'createNodeReadable': {
+        "output": function() {
+            const input = stream.Readable.from(['<div><p>a', '</p></div>']);
+            return readAll(index.createNodeReadable(input, { transforms }))
+            .then(res => assert.equal(res, '<div><b>a</b></div>'));
+        },
+        "input errors": function() {
+            const input = new stream.Readable({
+                read() { this.destroy(new Error('input failed')); }
+            });
+            return expectError(readAll(index.createNodeReadable(input, { transforms })),
+                'input failed');
+        },
+        "ReadableStream input errors": function() {
+            const input = new ReadableStream({
+                start(controller) { controller.enqueue('<p>a'); },
+                pull(controller) { controller.error(new Error('input failed')); }
+            });
+            // Cancelling the errored input on destroy must not fail.
+            const unhandled = [];
+            const onUnhandled = e => unhandled.push(e);
+            process.on('unhandledRejection', onUnhandled);
+            return expectError(readAll(index.createNodeReadable(input, { transforms })),
+                'input failed')
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+                process.removeListener('unhandledRejection', onUnhandled);
+                assert.deepEqual(unhandled, []);
+            });
+        },
+        "handler errors": function() {
+            return expectError(readAll(index.createNodeReadable(['<p>a</p>'], {
+                transforms: [
+                    { selector: 'p', handler: () => { throw new Error('handler failed'); } },
+                ]
+            })), 'handler failed');
+        },
+    },
+    'createNodeTransform': {
+        "pipeline": function() {
+            const input = stream.Readable.from(['<p>a</p>', Buffer.from('<p>ü</p>')]);
+            return pipeline(input, index.createNodeTransform({ transforms }))
+            .then(res => assert.equal(res, '<b>a</b><b>ü</b>'));
+        },
+        "string input encoding": function() {
+            // Written strings are not decoded with the input encoding.
+            const transform = index.createNodeTransform({ transforms, encoding: 'latin1' });
+            transform.write('<p>é');
+            transform.end(Buffer.from('</p><p>\xfc</p>', 'latin1'));
+            return readAll(transform)
+            .then(res => assert.equal(res, '<b>é</b><b>ü</b>'));
+        },
+        "backpressure": function() {
+            let reads = 0;
+            const input = new stream.Readable({
+                read() {
+                    reads++;
+                    this.push(`<p>${reads}</p>`);
+                }
+            });
+            const transform = index.createNodeTransform({ transforms });
+            input.pipe(transform);
+            return new Promise(resolve => setTimeout(resolve, 50))
+            .then(() => {
+                const before = reads;
+                return new Promise(resolve => setTimeout(resolve, 50))
+                .then(() => {
+                    // Nothing reads the output, so the input stops once
+                    // the buffers are full.
+                    assert.equal(reads, before);
+                    input.destroy();
+                    transform.destroy();
+                });
+            });
+        },
+        "input errors": function() {
+            let reads = 0;
+            const input = new stream.Readable({
+                read() {
+                    reads++;
+                    if (reads === 1) {
+                        this.push('<p>a</p>');
+                    } else {
+                        setTimeout(() => this.destroy(new Error('input failed')));
+                    }
+                }
+            });
+            const transform = index.createNodeTransform({ transforms });
+            return expectError(pipeline(input, transform), 'input failed')
+            .then(() => assert.ok(transform.destroyed));
+        },
+        "handler errors": function() {
+            const input = stream.Readable.from(['<p>a</p>']);
+            return expectError(pipeline(input, index.createNodeTransform({
+                transforms: [
+                    { selector: 'p', handler: () => { throw new Error('handler failed'); } },
+                ]
+            })), 'handler failed')
+            .then(() => assert.ok(input.destroyed));
+        },
+        "handler stream errors": function() {
+            // Cancelling the errored stream on destroy must not leave an
+            // unhandled rejection.
+            const input = stream.Readable.from(['<p>a</p><p>b</p>']);
+            return expectError(pipeline(input, index.createNodeTransform({
+                transforms: [
+                    {
+                        selector: 'p',
+                        handler: () => new ReadableStream({
+                            start(controller) { controller.enqueue('<b>'); },
+                            pull(controller) { controller.error(new Error('stream failed')); }
+                        })
+                    },
+                ]
+            })), 'stream failed')
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)));
+        },
+    },
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+const assert = require('assert');
+const streamUtil = require('web-stream-util');
+
+const transformResponse = require('../index').transformResponse;
+
+// Minimal Response and Headers stand-ins, as node has no fetch API.
+class MockHeaders {
+    // Initialized from an array of name and value pairs, another
+    // MockHeaders, or an object, whose names are case-insensitive.
+    constructor(headers) {
+        this._list = [];
+        if (headers instanceof MockHeaders || Array.isArray(headers)) {
+            headers = headers instanceof MockHeaders ? headers._list : headers;
+            headers.forEach(entry => this.append(entry[0], entry[1]));
+        } else {
+            Object.keys(headers || {}).forEach(name => this.set(name, headers[name]));
+        }
+    }
+    append(name, value) {
+        this._list.push([name.toLowerCase(), value]);
+    }
+    delete(name) {
+        this._list = this._list.filter(entry => entry[0] !== name.toLowerCase());
+    }
+    set(name, value) {
+        this.delete(name);
+        this.append(name, value);
+    }
+    get(name) {
+        const values = this.getAll(name);
+        return values.length ? values.join(', ') : null;
+    }
+    getAll(name) {
+        return this._list.filter(entry => entry[0] === name.toLowerCase())
+            .map(entry => entry[1]);
+    }
+    forEach(callback) {
+        this._list.forEach(entry => callback(entry[1], entry[0], this));
+    }
+}
+
+class MockResponse {
+    constructor(body, init) {
+        init = init || {};
+        this.body = body;
+        this.status = init.status || 200;
+        this.statusText = init.statusText || 'OK';
+        this.headers = new MockHeaders(init.headers);
+    }
+    text() {
+        return streamUtil.readToArray(this.body)
+        .then(chunks => Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString());
+    }
+}
+
+function htmlResponse(chunks, headers) {
+    return new MockResponse(streamUtil.toStream(chunks.map(chunk => Buffer.from(chunk, 'latin1'))), {
+        status: 201,
+        statusText: 'Created',
+        headers: Object.assign({ 'content-type': 'text/html' }, headers),
+    });
+}
+
+const options = {
+    transforms: [
+        { selector: 'p', handler: node => `<b>${node.innerHTML}</b>` },
+    ],
+    Response: MockResponse,
+    Headers: MockHeaders,
+};
+
+module.exports = {
+    'transformResponse': {
+        "status and headers": function() {
+            const res = transformResponse(htmlResponse(['<p>a</p>'], {
+                'Content-Length': '8',
+                'Content-Encoding': 'gzip',
+                'X-Foo': 'bar',
+            }), options);
+            assert.equal(res.status, 201);
+            assert.equal(res.statusText, 'Created');
+            assert.equal(res.headers.get('content-length'), null);
+            assert.equal(res.headers.get('content-encoding'), null);
+            assert.equal(res.headers.get('x-foo'), 'bar');
+            assert.equal(res.headers.get('content-type'), 'text/html; charset=utf-8');
+            return res.text()
+            .then(text => assert.equal(text, '<b>a</b>'));
+        },
+        "repeated headers": function() {
+            const res = transformResponse(new MockResponse(streamUtil.toStream(['<p>a</p>']), {
+                headers: [
+                    ['Content-Type', 'text/html'],
+                    ['Set-Cookie', 'a=1'],
+                    ['Set-Cookie', 'b=2'],
+                ],
+            }), options);
+            assert.deepEqual(res.headers.getAll('set-cookie'), ['a=1', 'b=2']);
+            assert.equal(res.headers.get('content-type'), 'text/html; charset=utf-8');
+        },
+        "charset parameter": function() {
+            const res = transformResponse(htmlResponse(['<p>caf\xe9</p>'], {
+                'Content-Type': 'text/html; charset="ISO-8859-1"'
+            }), options);
+            assert.equal(res.headers.get('content-type'), 'text/html; charset=utf-8');
+            return res.text()
+            .then(text => assert.equal(text, '<b>café</b>'));
+        },
+        "sniffed charset": function() {
+            const res = transformResponse(htmlResponse(['<meta charset="windows-1252"><p>caf', '\xe9</p>']), options);
+            return res.text()
+            .then(text => assert.equal(text, '<meta charset="windows-1252"><b>café</b>'));
+        },
+        "passthrough": function() {
+            const json = new MockResponse(streamUtil.toStream(['{}']), {
+                headers: { 'content-type': 'application/json' }
+            });
+            assert.equal(transformResponse(json, options), json);
+            const notModified = new MockResponse(null, {
+                status: 304,
+                headers: { 'content-type': 'text/html' }
+            });
+            assert.equal(transformResponse(notModified, options), notModified);
+        },
+        "error fallback": function() {
+            // Without sniffing, the first chunk is transformed on its own.
+            const res = transformResponse(htmlResponse(['<div>a</div>', '<p>b</p>'], {
+                'Content-Type': 'text/html; charset=utf-8'
+            }), {
+                transforms: [
+                    { selector: 'p', handler: () => { throw new Error('handler failed'); } },
+                ],
+                onError: e => `<!-- ${e.message} -->`,
+                Response: MockResponse,
+                Headers: MockHeaders,
+            });
+            return res.text()
+            .then(text => assert.equal(text, '<div>a</div><!-- handler failed -->'));
+        },
+        "errors abort the body by default": function() {
+            const res = transformResponse(htmlResponse(['<p>b</p>']), {
+                transforms: [
+                    { selector: 'p', handler: () => { throw new Error('handler failed'); } },
+                ],
+                Response: MockResponse,
+                Headers: MockHeaders,
+            });
+            return res.text()
+            .then(() => { throw new Error('Expected an error'); },
+                e => assert.equal(e.message, 'handler failed'));
+        },
+    },
+};
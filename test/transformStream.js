@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const streamUtil = require('web-stream-util');
+
+const HTMLTransformStream = require('../index').HTMLTransformStream;
+
+function transform(chunks, options) {
+    return streamUtil.readToArray(streamUtil.toStream(chunks)
+        .pipeThrough(new HTMLTransformStream(options)));
+}
+
+module.exports = {
+    'HTMLTransformStream': {
+        "strings and nodes": function() {
+            return transform(['<body><p class="a">x</p><p>', 'y</p><span>z</span></body>'], {
+                transforms: [
+                    { selector: 'p.a', handler: node => node },
+                    { selector: 'p', handler: node => `<div>${node.innerHTML}</div>` },
+                    { selector: 'span', handler: () => null },
+                ]
+            })
+            .then(chunks => {
+                chunks.forEach(chunk => assert.equal(typeof chunk, 'string'));
+                assert.equal(chunks.join(''), '<body><p class="a">x</p><div>y</div></body>');
+            });
+        },
+        "arrays and nested streams": function() {
+            return transform(['<figure><a>x</a><a>y</a></figure><section>a<b>b', '</b></section>'], {
+                transforms: [
+                    {
+                        selector: 'figure',
+                        nested: true,
+                        handler: node => ['<div>', node.innerContent, '</div>']
+                    },
+                    { selector: 'a', handler: node => streamUtil.toStream(['<i>', node.innerHTML, '</i>']) },
+                    { selector: 'section', stream: true, handler: node => node.innerHTML },
+                ]
+            })
+            .then(chunks => {
+                assert.equal(chunks.join(''), '<div><i>x</i><i>y</i></div>a<b>b</b>');
+                // Stream chunks are passed on as they are.
+                assert.ok(chunks.indexOf('<i>') !== -1);
+            });
+        },
+        "async handlers": function() {
+            return transform(['<p>a</p><p>', 'b</p>'], {
+                transforms: [
+                    { selector: 'p', handler: node => Promise.resolve(node) },
+                ],
+                concurrency: 2
+            })
+            .then(chunks => assert.equal(chunks.join(''), '<p>a</p><p>b</p>'));
+        },
+        "byte input and output": function() {
+            const input = Buffer.from('<p>é</p><div>–</div>');
+            return transform([input.slice(0, 4), input.slice(4)], {
+                transforms: [
+                    { selector: 'p', handler: node => streamUtil.toStream([Buffer.from('<b>ü</b>')]) },
+                ],
+                outputEncoding: 'utf-8'
+            })
+            .then(chunks => {
+                chunks.forEach(chunk => assert.ok(chunk instanceof Uint8Array));
+                assert.equal(Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString(),
+                    '<b>ü</b><div>–</div>');
+            });
+        },
+        "backpressure": function() {
+            let pulls = 0;
+            const input = new ReadableStream({
+                pull(controller) {
+                    pulls++;
+                    controller.enqueue(`<p>${pulls}</p>`);
+                }
+            }, { highWaterMark: 0 });
+            const reader = input.pipeThrough(new HTMLTransformStream({
+                transforms: [
+                    { selector: 'p', handler: node => node.innerHTML },
+                ]
+            })).getReader();
+            return reader.read()
+            .then(res => {
+                assert.equal(res.value, '1');
+                return new Promise(resolve => setTimeout(resolve, 20));
+            })
+            .then(() => {
+                // Only a few chunks are read ahead.
+                assert.ok(pulls < 5, pulls);
+                return reader.cancel();
+            });
+        },
+        "handler errors": function() {
+            return transform(['<p>a</p>'], {
+                transforms: [
+                    { selector: 'p', handler: () => { throw new Error('handler failed'); } },
+                ]
+            })
+            .then(() => { throw new Error('Expected an error'); },
+                e => assert.equal(e.message, 'handler failed'));
+        },
+        "unsupported return values": function() {
+            return transform(['<p>a</p>'], {
+                transforms: [
+                    { selector: 'p', handler: () => 42 },
+                ]
+            })
+            .then(() => { throw new Error('Expected an error'); },
+                e => assert.ok(/Unsupported handler return value/.test(e.message)));
+        },
+    },
+};